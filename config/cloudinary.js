@@ -45,5 +45,45 @@ export const lostItemsStorage = new CloudinaryStorage({
   },
 });
 
+// Create storage for claim evidence (receipts, photos, screenshots; PDFs are stored as images too)
+export const claimEvidenceStorage = new CloudinaryStorage({
+  cloudinary: cloudinary,
+  params: (req, file) => ({
+    folder: 'lost-found/claim-evidence',
+    allowed_formats: ['jpg', 'jpeg', 'png', 'webp', 'pdf'],
+    // Keep documents untouched so receipts stay legible
+    ...(file.mimetype === 'application/pdf'
+      ? {}
+      : { transformation: [{ width: 1600, height: 1600, crop: 'limit', quality: 'auto' }] }),
+  }),
+});
+
+// Create storage for signatures captured when an item is handed over
+export const handoverSignatureStorage = new CloudinaryStorage({
+  cloudinary: cloudinary,
+  params: {
+    folder: 'lost-found/handover-signatures',
+    allowed_formats: ['jpg', 'jpeg', 'png', 'webp'],
+  },
+});
+
+/**
+ * Delete Cloudinary images by their delivery URLs; local paths and unknown URLs are skipped
+ * @param {string[]} urls
+ */
+export const destroyImages = async (urls = []) => {
+  const publicIds = urls
+    .filter((url) => /^https?:\/\/res\.cloudinary\.com\//.test(url || ''))
+    .map((url) => {
+      // .../image/upload/[transformations/]v123/folder/name.jpg -> folder/name
+      const match = url.match(/\/upload\/(?:.*?\/)?v\d+\/(.+?)\.[^./]+$/) || url.match(/\/upload\/(.+?)\.[^./]+$/);
+      return match ? decodeURIComponent(match[1]) : null;
+    })
+    .filter(Boolean);
+
+  if (!publicIds.length) return;
+  await cloudinary.api.delete_resources(publicIds);
+};
+
 export default cloudinary;
 
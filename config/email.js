@@ -1,4 +1,7 @@
 import nodemailer from "nodemailer";
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
 import dotenv from "dotenv";
 
 dotenv.config();
@@ -10,9 +13,13 @@ const {
   EMAIL_PASS,
   EMAIL_FROM,
   EMAIL_SERVICE, // Optional: 'gmail', 'outlook', etc.
+  EMAIL_TRANSPORT, // Optional: 'file' writes each email as JSON instead of sending (development/tests)
+  EMAIL_FILE_DIR,
 } = process.env;
 
 let transporter;
+const useFileTransport = (EMAIL_TRANSPORT || "").toLowerCase() === "file";
+const emailFileDir = path.resolve(EMAIL_FILE_DIR || "./emails");
 
 // Debug: Log what env vars are present (without showing passwords)
 console.log("📧 Email Configuration Check:");
@@ -21,9 +28,16 @@ console.log(`   EMAIL_PASS: ${EMAIL_PASS ? 'SET (hidden)' : 'NOT SET'}`);
 console.log(`   EMAIL_SERVICE: ${EMAIL_SERVICE || 'NOT SET'}`);
 console.log(`   EMAIL_HOST: ${EMAIL_HOST || 'NOT SET'}`);
 console.log(`   EMAIL_PORT: ${EMAIL_PORT || 'NOT SET'}`);
+console.log(`   EMAIL_TRANSPORT: ${EMAIL_TRANSPORT || 'smtp'}`);
 
+// File transport: render messages as JSON and write them to disk
+if (useFileTransport) {
+  fs.mkdirSync(emailFileDir, { recursive: true });
+  transporter = nodemailer.createTransport({ jsonTransport: true });
+  console.log(`✅ Email file transport enabled, writing to: ${emailFileDir}`);
+}
 // Initialize transporter if credentials are provided
-if (EMAIL_USER && EMAIL_PASS) {
+else if (EMAIL_USER && EMAIL_PASS) {
   try {
     // If EMAIL_SERVICE is provided, use it (e.g., 'gmail', 'outlook')
     if (EMAIL_SERVICE) {
@@ -101,7 +115,7 @@ export const sendEmail = async ({ to, subject, text, html }) => {
   }
 
   try {
-    const fromAddress = EMAIL_FROM || EMAIL_USER;
+    const fromAddress = EMAIL_FROM || EMAIL_USER || "no-reply@localhost";
     
     console.log(`📧 Attempting to send email:`);
     console.log(`   To: ${to}`);
@@ -116,6 +130,13 @@ export const sendEmail = async ({ to, subject, text, html }) => {
       html: html || text,
     });
 
+    if (useFileTransport) {
+      const fileName = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.json`;
+      await fs.promises.writeFile(path.join(emailFileDir, fileName), info.message);
+      console.log(`✅ Email written to ${fileName}`);
+      return info;
+    }
+
     console.log(`✅ Email sent successfully!`);
     console.log(`   Message ID: ${info.messageId}`);
     console.log(`   Response: ${info.response || 'N/A'}`);
@@ -26,6 +26,11 @@ export const protect = async (req, res, next) => {
       return res.status(401).json({ message: "Not authorized, user not found" });
     }
 
+    // Token was issued before the user's sessions were revoked
+    if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+      return res.status(401).json({ message: "Not authorized, session has been revoked" });
+    }
+
     // Only approved users can access protected routes
     if (user.status !== "approved") {
       return res.status(403).json({ message: "Account not approved by admin yet." });
@@ -62,6 +67,11 @@ export const verifyToken = async (req, res, next) => {
       return res.status(401).json({ message: "Not authorized, user not found" });
     }
 
+    // Token was issued before the user's sessions were revoked
+    if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+      return res.status(401).json({ message: "Not authorized, session has been revoked" });
+    }
+
     req.user = user; // Attach user to request (without approval check)
     next();
   } catch (err) {
@@ -70,6 +80,26 @@ export const verifyToken = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware: Attach the user when a valid token is sent, otherwise continue anonymously
+ * Used by public endpoints whose response depends on who is asking (e.g. redacted contact details)
+ */
+export const optionalAuth = async (req, res, next) => {
+  req.user = null;
+  if (!req.headers.authorization?.startsWith("Bearer")) return next();
+
+  try {
+    const decoded = jwt.verify(req.headers.authorization.split(" ")[1], process.env.JWT_SECRET);
+    const user = await User.findById(decoded.id).select("-password");
+    if (user && (decoded.tv || 0) === (user.tokenVersion || 0) && user.status === "approved") {
+      req.user = user;
+    }
+  } catch (_) {
+    // Invalid or expired token: treat as anonymous
+  }
+  next();
+};
+
 /**
  * Middleware: Restrict access to specific roles
  * @param  {...string} roles - Allowed roles (e.g. "admin", "staff")
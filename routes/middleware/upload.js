@@ -1,6 +1,11 @@
 import multer from 'multer';
 import path from 'path';
-import { foundItemsStorage, lostItemsStorage } from '../../config/cloudinary.js';
+import {
+  foundItemsStorage,
+  lostItemsStorage,
+  claimEvidenceStorage,
+  handoverSignatureStorage,
+} from '../../config/cloudinary.js';
 
 // File filter to allow only image files
 const fileFilter = (req, file, cb) => {
@@ -11,6 +16,15 @@ const fileFilter = (req, file, cb) => {
   else cb(new Error('Only image files are allowed'));
 };
 
+// Claim evidence may also be a PDF (receipts, invoices)
+const evidenceFileFilter = (req, file, cb) => {
+  const allowedTypes = /jpeg|jpg|png|webp|pdf/;
+  const extName = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+  const mimeType = /^image\/(jpeg|png|webp)$|^application\/pdf$/.test(file.mimetype);
+  if (extName && mimeType) cb(null, true);
+  else cb(new Error('Only image or PDF files are allowed'));
+};
+
 // Export multer instances for Cloudinary
 export const upload = multer({
   storage: foundItemsStorage,
@@ -29,3 +43,21 @@ export const uploadLost = multer({
     files: 5,                   // Max 5 files per request
   },
 });
+
+export const uploadEvidence = multer({
+  storage: claimEvidenceStorage,
+  fileFilter: evidenceFileFilter,
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10 MB
+    files: 5,                   // Max 5 files per request
+  },
+});
+
+export const uploadSignature = multer({
+  storage: handoverSignatureStorage,
+  fileFilter,
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2 MB
+    files: 1,
+  },
+});
@@ -0,0 +1,81 @@
+import mongoose from "mongoose";
+
+// Signup approval rules, managed by admins. A single document holds the active rules.
+const approvalRulesSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      default: "default",
+      unique: true,
+    },
+    // Users from these domains (or their subdomains) are approved automatically
+    allowedDomains: [{ type: String, trim: true, lowercase: true }],
+    // Signups from these domains are refused
+    deniedDomains: [{ type: String, trim: true, lowercase: true }],
+    // When set, regular users must provide a studentId fully matching this regular expression
+    studentIdPattern: {
+      type: String,
+      default: null,
+      validate: {
+        validator: (value) => {
+          if (!value) return true;
+          try {
+            new RegExp(value);
+            return true;
+          } catch {
+            return false;
+          }
+        },
+        message: "studentIdPattern must be a valid regular expression",
+      },
+    },
+    // Only users who verified their email address can be approved (automatically or by an admin)
+    requireVerifiedEmail: {
+      type: Boolean,
+      default: false,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+const domainMatches = (domain, entry) => domain === entry || domain.endsWith(`.${entry}`);
+
+// Load the active rules, creating the default (everything manual) on first use
+approvalRulesSchema.statics.getRules = async function () {
+  return this.findOneAndUpdate(
+    { key: "default" },
+    { $setOnInsert: { key: "default" } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Decide what happens to a new regular-user signup
+ * @returns {{ decision: "approve"|"reject"|"review"|"invalid", reason: string }}
+ */
+approvalRulesSchema.methods.evaluate = function ({ email, studentId }) {
+  const domain = String(email || "").split("@")[1]?.toLowerCase() || "";
+
+  if (this.deniedDomains.some((entry) => domainMatches(domain, entry))) {
+    return { decision: "reject", reason: `Signups from ${domain} are not accepted` };
+  }
+
+  if (this.studentIdPattern && !new RegExp(`^(?:${this.studentIdPattern})$`).test(studentId || "")) {
+    return { decision: "invalid", reason: "A valid student ID is required" };
+  }
+
+  if (this.allowedDomains.some((entry) => domainMatches(domain, entry))) {
+    return { decision: "approve", reason: `${domain} is an allow-listed domain` };
+  }
+
+  return { decision: "review", reason: "Queued for manual review" };
+};
+
+const ApprovalRules = mongoose.model("ApprovalRules", approvalRulesSchema);
+
+export default ApprovalRules;
@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+
+// Append-only record of staff/admin (and public) mutations
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null, // null for anonymous public actions
+    },
+    // Copied so the entry stays readable after the actor account is deleted
+    actorName: { type: String, default: null },
+    actorEmail: { type: String, default: null },
+    actorRole: { type: String, default: null },
+    // Dotted action name, e.g. "lostItem.delete", "user.role.update", "claim.review"
+    action: { type: String, required: true },
+    targetType: { type: String, required: true },
+    targetId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    // Only the fields that changed; full snapshots for creates (after) and deletes (before)
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null },
+    metadata: { type: mongoose.Schema.Types.Mixed, default: null },
+    ip: { type: String, default: null },
+    userAgent: { type: String, default: null },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+// Entries can never be edited or removed once written
+const rejectMutation = function (next) {
+  next(new Error("Audit log entries are append-only"));
+};
+auditLogSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "deleteOne", "deleteMany", "findOneAndDelete", "findOneAndReplace"],
+  rejectMutation
+);
+auditLogSchema.pre("save", function (next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+
+export default AuditLog;
@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+
+// A place on campus where items are lost or found, e.g. Main Library / floor 2. Free-text
+// locations on lost and found items are resolved to an entry through its name and aliases
+// (see utils/locations.js), so "Library 2nd floor" and "library L2" count as the same place.
+const campusLocationSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: [true, "Name is required"], trim: true, maxlength: 120, unique: true },
+    building: { type: String, required: [true, "Building is required"], trim: true, maxlength: 100 },
+    // Free-form so "G", "B1" and "2" all work; null for the building as a whole or outdoor areas
+    floor: { type: String, trim: true, maxlength: 20, default: null },
+    latitude: { type: Number, min: [-90, "Latitude must be between -90 and 90"], max: [90, "Latitude must be between -90 and 90"], default: null },
+    longitude: { type: Number, min: [-180, "Longitude must be between -180 and 180"], max: [180, "Longitude must be between -180 and 180"], default: null },
+    // Other ways people describe the place ("library L2", "main lib level 2")
+    aliases: [{ type: String, trim: true, maxlength: 120 }],
+    // Retired locations keep their items but are no longer matched
+    active: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+campusLocationSchema.index({ building: 1, floor: 1 });
+
+campusLocationSchema.pre("validate", function (next) {
+  const hasLatitude = this.latitude !== null && this.latitude !== undefined;
+  const hasLongitude = this.longitude !== null && this.longitude !== undefined;
+  if (hasLatitude !== hasLongitude) {
+    this.invalidate("longitude", "Latitude and longitude must be set together");
+  }
+  // Drop empty and repeated aliases (case-insensitive)
+  const seen = new Set();
+  this.aliases = (this.aliases || []).filter((alias) => {
+    const key = String(alias || "").trim().toLowerCase();
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  next();
+});
+
+const CampusLocation = mongoose.model("CampusLocation", campusLocationSchema);
+export default CampusLocation;
@@ -1,4 +1,31 @@
 import mongoose from "mongoose";
+import crypto from "crypto";
+
+export const CLAIM_STATUSES = ["pending", "info_requested", "on_hold", "approved", "rejected"];
+
+// Statuses a claim may move to from each status
+export const CLAIM_TRANSITIONS = {
+  pending: ["info_requested", "on_hold", "approved", "rejected"],
+  // The claimant answering an info request puts the claim back to pending
+  info_requested: ["pending", "on_hold", "approved", "rejected"],
+  // Held while a competing claim is approved; released if that approval is withdrawn
+  on_hold: ["pending", "approved", "rejected"],
+  approved: ["rejected"],
+  rejected: ["approved"],
+};
+
+// Claims still waiting for a decision
+export const CLAIM_OPEN_STATUSES = ["pending", "info_requested", "on_hold"];
+
+// Pickup of an approved claim: staff offer slots, the claimant books one, staff complete the handover
+export const PICKUP_STATUSES = ["awaiting_slots", "offered", "booked", "completed", "cancelled"];
+
+// Identity documents staff may accept at handover
+export const HANDOVER_ID_TYPES = ["student_card", "staff_card", "national_id", "passport", "driving_licence", "other"];
+
+// No 0/O or 1/I so the code can be read out or typed without mistakes
+const HANDOVER_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const HANDOVER_CODE_LENGTH = 8;
 
 const claimSchema = new mongoose.Schema(
   {
@@ -6,9 +33,72 @@ const claimSchema = new mongoose.Schema(
     claimant: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: false, default: null },
     claimantName: { type: String, trim: true },
     claimantEmail: { type: String, trim: true, lowercase: true },
-    status: { type: String, enum: ["pending", "approved", "rejected"], default: "pending" },
+    status: { type: String, enum: CLAIM_STATUSES, default: "pending" },
     ownershipProof: { type: String, required: true },
-    verificationAnswers: { type: mongoose.Schema.Types.Mixed },
+    // Answers to the found item's verification questions; the question text is copied so
+    // the claim still reads correctly if staff later edit the questions
+    verificationAnswers: [
+      {
+        questionId: { type: mongoose.Schema.Types.ObjectId, required: true },
+        question: { type: String, trim: true },
+        answer: { type: String, trim: true, required: true, maxlength: 1000 },
+        _id: false,
+      },
+    ],
+    // Latest "request more info" from staff
+    infoRequest: {
+      message: { type: String, trim: true, default: null },
+      requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+      requestedAt: { type: Date, default: null },
+    },
+    // Extra evidence the claimant added after filing
+    evidence: [
+      {
+        text: { type: String, trim: true, required: true, maxlength: 2000 },
+        addedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+        addedAt: { type: Date, default: Date.now },
+      },
+    ],
+    // Files (photos, receipts as image or PDF) uploaded to Cloudinary with the claim or afterwards
+    attachments: [
+      {
+        url: { type: String, required: true },
+        fileName: { type: String, trim: true },
+        mimeType: { type: String },
+        size: { type: Number },
+        uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+        uploadedAt: { type: Date, default: Date.now },
+      },
+    ],
+    // Collection of the item once the claim is approved
+    pickup: {
+      status: { type: String, enum: [...PICKUP_STATUSES, null], default: null },
+      collectionPoint: { type: String, trim: true, default: null },
+      slots: [
+        {
+          startsAt: { type: Date, required: true },
+          endsAt: { type: Date, required: true },
+        },
+      ],
+      slotsOfferedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+      slotsOfferedAt: { type: Date, default: null },
+      bookedSlot: { type: mongoose.Schema.Types.ObjectId, default: null },
+      bookedAt: { type: Date, default: null },
+      // Signed collection record
+      completedAt: { type: Date, default: null },
+      completedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+      // Only the document type and a short reference (e.g. last 4 digits) are kept, never a full ID number
+      idCheck: {
+        documentType: { type: String, enum: [...HANDOVER_ID_TYPES, null], default: null },
+        reference: { type: String, trim: true, maxlength: 20, default: null },
+      },
+      signatureUrl: { type: String, default: null },
+      notes: { type: String, trim: true, maxlength: 1000, default: null },
+    },
+    // Code the claimant presents at the desk (typed in or scanned as a QR code); only ever sent to the claimant
+    handoverCode: { type: String, select: false, default: null },
+    // The competing claim whose approval rejected or held this one
+    resolvedByClaim: { type: mongoose.Schema.Types.ObjectId, ref: "Claim", default: null },
     reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
     reviewedAt: { type: Date },
     reviewNotes: { type: String },
@@ -16,6 +106,44 @@ const claimSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+claimSchema.index({ item: 1, status: 1 });
+// At most one approved claim per item; enforced here so two reviewers approving at once can't both win
+claimSchema.index({ item: 1 }, { unique: true, partialFilterExpression: { status: "approved" } });
+
+claimSchema.methods.canTransitionTo = function (status) {
+  return (CLAIM_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Start the pickup workflow with a fresh handover code (on approval)
+claimSchema.methods.startPickup = function () {
+  this.handoverCode = Array.from(
+    { length: HANDOVER_CODE_LENGTH },
+    () => HANDOVER_CODE_ALPHABET[crypto.randomInt(HANDOVER_CODE_ALPHABET.length)]
+  ).join("");
+  this.pickup = { status: "awaiting_slots" };
+  return this;
+};
+
+// Check a code presented at the desk; spaces, dashes and case are ignored
+claimSchema.methods.matchesHandoverCode = function (code) {
+  const expected = Buffer.from(String(this.handoverCode || ""));
+  const actual = Buffer.from(String(code || "").toUpperCase().replace(/[\s-]/g, ""));
+  return expected.length > 0 && expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Payload for the QR code shown to the claimant; scanning it at the desk yields the claim and the code
+claimSchema.methods.handoverQrPayload = function () {
+  return this.handoverCode ? `foundcloud:handover:${this._id}:${this.handoverCode}` : null;
+};
+
+// The handover code stays out of every response unless a route adds it explicitly
+claimSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.handoverCode;
+    return ret;
+  },
+});
+
 const Claim = mongoose.model("Claim", claimSchema);
 
 export default Claim; // ✅ default export
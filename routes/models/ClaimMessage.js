@@ -0,0 +1,24 @@
+import mongoose from "mongoose";
+
+export const CLAIM_MESSAGE_ROLES = ["claimant", "staff"];
+
+// One message in the conversation between staff and the claimant of a claim; keeps
+// questions about ownership in the app so neither side needs the other's email address
+const claimMessageSchema = new mongoose.Schema(
+  {
+    claim: { type: mongoose.Schema.Types.ObjectId, ref: "Claim", required: true },
+    author: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    // Which side of the conversation wrote it (staff and admins share the "staff" side)
+    authorRole: { type: String, enum: CLAIM_MESSAGE_ROLES, required: true },
+    body: { type: String, trim: true, required: [true, "Message text is required"], maxlength: 2000 },
+    // When the other side first saw the message
+    readAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+claimMessageSchema.index({ claim: 1, createdAt: 1 });
+
+const ClaimMessage = mongoose.model("ClaimMessage", claimMessageSchema);
+
+export default ClaimMessage;
@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+
+export const CONTACT_SIDES = ["initiator", "recipient"];
+
+// Relayed conversation between someone browsing the listings and the person who reported an
+// item. Neither side sees the other's email or phone; the server forwards the messages.
+const contactThreadSchema = new mongoose.Schema(
+  {
+    itemType: { type: String, enum: ["LostItem", "FoundItem"], required: true },
+    item: { type: mongoose.Schema.Types.ObjectId, refPath: "itemType", required: true },
+    itemTitle: { type: String, trim: true },
+    // Who opened the conversation (always a signed-in user); null once they deleted their account
+    initiator: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    // The reporter/finder; null when the report was filed without an account or the account was deleted
+    recipient: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    // Used only for reports without an account: where messages are emailed, and the token
+    // in the emailed reply link that lets them answer without signing in
+    recipientEmail: { type: String, trim: true, lowercase: true, select: false, default: null },
+    replyToken: { type: String, select: false, default: null },
+    messages: [
+      {
+        from: { type: String, enum: CONTACT_SIDES, required: true },
+        body: { type: String, trim: true, required: [true, "Message text is required"], maxlength: 2000 },
+        sentAt: { type: Date, default: Date.now },
+        readAt: { type: Date, default: null },
+      },
+    ],
+    lastMessageAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+contactThreadSchema.index({ initiator: 1, lastMessageAt: -1 });
+contactThreadSchema.index({ recipient: 1, lastMessageAt: -1 });
+contactThreadSchema.index({ item: 1, initiator: 1 });
+
+const ContactThread = mongoose.model("ContactThread", contactThreadSchema);
+export default ContactThread;
@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+
+// Persistent queue of outgoing emails; delivered and retried by the outbox worker
+const emailOutboxSchema = new mongoose.Schema(
+  {
+    to: { type: String, required: true, trim: true, lowercase: true },
+    subject: { type: String, required: true },
+    text: { type: String },
+    html: { type: String },
+    template: { type: String, default: null },
+    status: {
+      type: String,
+      enum: ["queued", "sending", "sent", "failed"],
+      default: "queued",
+    },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 5 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedAt: { type: Date, default: null },
+    lastError: { type: String, default: null },
+    sentAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+
+const EmailOutbox = mongoose.model("EmailOutbox", emailOutboxSchema);
+
+export default EmailOutbox;
@@ -1,4 +1,35 @@
 import mongoose from "mongoose"
+import softDeletePlugin from "./plugins/softDelete.js"
+
+export const ITEM_CATEGORIES = ["Electronics", "Clothing", "Books", "Accessories", "Documents", "Keys", "Other"]
+
+export const FOUND_ITEM_STATUSES = [
+  "received",
+  "in_storage",
+  "claim_pending",
+  "pending_disposal",
+  "returned",
+  "disposed",
+  "donated",
+]
+
+// Statuses an item may move to from each status; returned/disposed/donated are final
+export const FOUND_ITEM_TRANSITIONS = {
+  received: ["in_storage", "claim_pending", "pending_disposal", "disposed", "donated"],
+  in_storage: ["claim_pending", "pending_disposal", "disposed", "donated"],
+  claim_pending: ["in_storage", "returned"],
+  // Past its retention period; a late claim or a staff extension takes it back out of the queue
+  pending_disposal: ["claim_pending", "in_storage", "disposed", "donated"],
+  returned: [],
+  disposed: [],
+  donated: [],
+}
+
+// How an item left custody when it was not returned; "police" items are recorded as disposed
+export const DISPOSAL_METHODS = ["donated", "destroyed", "police"]
+
+// Statuses in which the item has left custody for good
+export const FOUND_ITEM_CLOSED_STATUSES = ["returned", "disposed", "donated"]
 
 const foundItemSchema = new mongoose.Schema(
   {
@@ -25,7 +56,7 @@ const foundItemSchema = new mongoose.Schema(
       required: [true, "Category is required"],
       trim: true,
       enum: {
-        values: ["Electronics", "Clothing", "Books", "Accessories", "Documents", "Keys", "Other"],
+        values: ITEM_CATEGORIES,
         message: "Invalid category",
       },
     },
@@ -35,6 +66,12 @@ const foundItemSchema = new mongoose.Schema(
       trim: true,
       minlength: [1, "Location cannot be empty"],
     },
+    // Catalogue entry the free-text location resolved to (null when nothing matched)
+    campusLocation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CampusLocation",
+      default: null,
+    },
     dateFound: {
       type: Date,
       required: [true, "Date found is required"],
@@ -86,12 +123,144 @@ const foundItemSchema = new mongoose.Schema(
       required: false,
       default: null,
     },
+    // Custody lifecycle tracked by the security desk
+    status: {
+      type: String,
+      enum: FOUND_ITEM_STATUSES,
+      default: "received",
+    },
+    statusHistory: [
+      {
+        from: { type: String, enum: FOUND_ITEM_STATUSES, default: null },
+        to: { type: String, enum: FOUND_ITEM_STATUSES, required: true },
+        changedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          default: null,
+        },
+        changedAt: { type: Date, default: Date.now },
+        note: { type: String, trim: true, default: null },
+      },
+    ],
+    // Bin/shelf in the security office where the item is kept now (null when not shelved)
+    storageLocation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "StorageLocation",
+      default: null,
+    },
+    storageHistory: [
+      {
+        from: { type: mongoose.Schema.Types.ObjectId, ref: "StorageLocation", default: null },
+        to: { type: mongoose.Schema.Types.ObjectId, ref: "StorageLocation", default: null },
+        movedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          default: null,
+        },
+        movedAt: { type: Date, default: Date.now },
+        note: { type: String, trim: true, default: null },
+      },
+    ],
+    // Retention tracking, maintained by the retention job (see utils/retention.js)
+    retention: {
+      // Deadline announced to the finder when they were warned
+      dueAt: { type: Date, default: null },
+      warnedAt: { type: Date, default: null },
+      queuedAt: { type: Date, default: null },
+      // Staff extension: the item is not queued again before this date
+      holdUntil: { type: Date, default: null },
+      holdReason: { type: String, trim: true, default: null },
+    },
+    // Disposal report recorded by staff when the item leaves custody unclaimed
+    disposal: {
+      method: { type: String, enum: [...DISPOSAL_METHODS, null], default: null },
+      // Charity, police station or contractor that took the item
+      recipient: { type: String, trim: true, default: null },
+      // Receipt or police reference number
+      reference: { type: String, trim: true, default: null },
+      notes: { type: String, trim: true, maxlength: 2000, default: null },
+      recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+      recordedAt: { type: Date, default: null },
+    },
+    // Private questions a claimant must answer; expected answers are only loaded for staff
+    verificationQuestions: [
+      {
+        question: { type: String, trim: true, required: [true, "Question is required"], maxlength: 300 },
+        expectedAnswer: { type: String, trim: true, required: [true, "Expected answer is required"], maxlength: 500, select: false },
+      },
+    ],
   },
   {
     timestamps: true,
   },
 )
 
+foundItemSchema.index({ status: 1 })
+foundItemSchema.index({ storageLocation: 1 })
+foundItemSchema.index({ status: 1, category: 1, createdAt: 1 })
+foundItemSchema.index({ campusLocation: 1, dateFound: 1 })
+// Text search index used by /api/search, weighted like the LostItem one so scores are comparable
+foundItemSchema.index(
+  {
+    title: "text",
+    description: "text",
+    category: "text",
+    location: "text",
+  },
+  {
+    name: "found_item_text",
+    weights: { title: 10, category: 3, location: 2, description: 1 },
+  },
+)
+foundItemSchema.plugin(softDeletePlugin)
+
+// Record the initial "received" step for newly logged items
+foundItemSchema.pre("save", function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ from: null, to: this.status, changedBy: this.foundBy || null })
+  }
+  next()
+})
+
+// Check whether the item may move to the given status
+foundItemSchema.methods.canTransitionTo = function (status) {
+  return (FOUND_ITEM_TRANSITIONS[this.status || "received"] || []).includes(status)
+}
+
+// Move the item to a new status, recording who did it and when
+foundItemSchema.methods.transitionTo = function (status, actorId = null, note = null) {
+  const from = this.status || "received"
+  if (!FOUND_ITEM_STATUSES.includes(status)) {
+    const error = new Error(`Invalid status: ${status}`)
+    error.status = 400
+    throw error
+  }
+  if (!this.canTransitionTo(status)) {
+    const error = new Error(`Cannot move item from "${from}" to "${status}"`)
+    error.status = 400
+    throw error
+  }
+  this.status = status
+  this.statusHistory.push({ from, to: status, changedBy: actorId, changedAt: new Date(), note })
+  // An item that has left custody no longer occupies its bin
+  if (FOUND_ITEM_CLOSED_STATUSES.includes(status) && this.storageLocation) {
+    this.moveTo(null, actorId, `Removed from storage: ${status}`)
+  }
+  return this
+}
+
+// Put the item in a storage location (or take it off the shelf with null), recording the move
+foundItemSchema.methods.moveTo = function (locationId, actorId = null, note = null) {
+  const from = this.storageLocation?._id || this.storageLocation || null
+  this.storageLocation = locationId || null
+  this.storageHistory.push({ from, to: locationId || null, movedBy: actorId, movedAt: new Date(), note })
+  return this
+}
+
 const FoundItem = mongoose.model("FoundItem", foundItemSchema)
 
 export default FoundItem
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import softDeletePlugin from "./plugins/softDelete.js";
 
 const lostItemSchema = new mongoose.Schema(
   {
@@ -26,6 +27,12 @@ const lostItemSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // Catalogue entry the free-text location resolved to (null when nothing matched)
+    campusLocation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CampusLocation",
+      default: null,
+    },
     dateLost: {
       type: Date,
       required: true,
@@ -109,6 +116,13 @@ const lostItemSchema = new mongoose.Schema(
       enum: ["active", "found", "closed"],
       default: "active",
     },
+    // Retention tracking, maintained by the retention job (see utils/retention.js)
+    retention: {
+      dueAt: { type: Date, default: null },
+      warnedAt: { type: Date, default: null },
+      // Closed because the report outlived its category's retention period
+      expiredAt: { type: Date, default: null },
+    },
     color: String,
     brand: String,
     size: String,
@@ -119,15 +133,25 @@ const lostItemSchema = new mongoose.Schema(
   }
 );
 
-// Text search index
-lostItemSchema.index({
-  uniqueIdentifier: 1,
-  title: "text",
-  description: "text",
-  category: "text",
-  location: "text",
-  brand: "text",
-});
+// Text search index used by /api/search (weights rank title hits above description hits).
+// Existing databases still carry the old compound index; run `npm run sync-indexes` once to replace it.
+lostItemSchema.index(
+  {
+    title: "text",
+    description: "text",
+    category: "text",
+    location: "text",
+    brand: "text",
+  },
+  {
+    name: "lost_item_text",
+    weights: { title: 10, brand: 5, category: 3, location: 2, description: 1 },
+  }
+);
+
+lostItemSchema.index({ campusLocation: 1, dateLost: 1 });
+
+lostItemSchema.plugin(softDeletePlugin);
 
 const LostItem = mongoose.model("LostItem", lostItemSchema);
 export default LostItem; // ✅ ESM default export
@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+
+const matchSchema = new mongoose.Schema(
+  {
+    lostItem: { type: mongoose.Schema.Types.ObjectId, ref: "LostItem", required: true },
+    foundItem: { type: mongoose.Schema.Types.ObjectId, ref: "FoundItem", required: true },
+    score: { type: Number, required: true, min: 0, max: 100 },
+    // Breakdown of how the score was reached, e.g. { factor: "category", points: 25, detail: "Both Electronics" }
+    reasons: [
+      {
+        factor: { type: String, required: true },
+        points: { type: Number, required: true },
+        detail: { type: String },
+      },
+    ],
+    status: {
+      type: String,
+      enum: ["suggested", "confirmed", "dismissed"],
+      default: "suggested",
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    reviewedAt: { type: Date, default: null },
+    reviewNotes: { type: String, default: null },
+    // Set once the lost item's owner has been told about this match
+    ownerNotifiedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+// One record per lost/found pair so dismissed pairs are remembered
+matchSchema.index({ lostItem: 1, foundItem: 1 }, { unique: true });
+matchSchema.index({ status: 1, score: -1 });
+
+const Match = mongoose.model("Match", matchSchema);
+
+export default Match;
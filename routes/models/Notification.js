@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+// Events users can be notified about; names match the email templates
+export const NOTIFICATION_TYPES = [
+  "accountApproved",
+  "accountRejected",
+  "claimSubmitted",
+  "claimApproved",
+  "claimRejected",
+  "claimInfoRequested",
+  "claimOnHold",
+  "claimMessage",
+  "pickupSlotsOffered",
+  "pickupBooked",
+  "handoverCompleted",
+  "contactMessage",
+  "retentionWarning",
+  "lostReportExpired",
+  "foundReportApproved",
+  "foundReportRejected",
+  "matchFound",
+  "savedSearchMatch",
+  "savedSearchDigest",
+];
+
+const notificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      required: true,
+    },
+    title: { type: String, required: true },
+    message: { type: String, required: true },
+    // Frontend path the notification points to, e.g. "/claims"
+    link: { type: String, default: null },
+    // Ids of the records involved (claimId, itemId, ...)
+    data: { type: mongoose.Schema.Types.Mixed, default: {} },
+    readAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+const Notification = mongoose.model("Notification", notificationSchema);
+
+export default Notification;
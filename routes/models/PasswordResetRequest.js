@@ -1,4 +1,15 @@
 import mongoose from "mongoose";
+import crypto from "crypto";
+
+// Wrong code attempts allowed before the request is locked
+export const MAX_RESET_ATTEMPTS = 5;
+
+// Codes are stored as a keyed hash so a database leak does not expose usable codes
+export const hashResetCode = (code) =>
+  crypto
+    .createHmac("sha256", process.env.JWT_SECRET || "")
+    .update(String(code || "").trim().toUpperCase())
+    .digest("hex");
 
 const passwordResetRequestSchema = new mongoose.Schema(
   {
@@ -7,21 +18,33 @@ const passwordResetRequestSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
-    code: {
+    codeHash: {
       type: String,
       default: null,
-      uppercase: true,
-      trim: true,
+    },
+    // "email" when the user reset via the emailed link, "admin" when an admin generated the code
+    method: {
+      type: String,
+      enum: ["email", "admin"],
+      default: null,
     },
     status: {
       type: String,
-      enum: ["pending", "code_generated", "completed", "expired"],
+      enum: ["pending", "code_generated", "completed", "expired", "locked"],
       default: "pending",
     },
     expiresAt: {
       type: Date,
       default: null,
     },
+    failedAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lockedAt: {
+      type: Date,
+      default: null,
+    },
     generatedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -42,12 +65,31 @@ const passwordResetRequestSchema = new mongoose.Schema(
 // Indexes for faster lookups
 passwordResetRequestSchema.index({ user: 1 });
 passwordResetRequestSchema.index({ status: 1 });
-passwordResetRequestSchema.index({ code: 1 });
 passwordResetRequestSchema.index({ expiresAt: 1 });
 
+// Store a new code, replacing any previous one and clearing failed attempts
+passwordResetRequestSchema.methods.setCode = function (code, { method, expiresAt, generatedBy = null }) {
+  this.codeHash = hashResetCode(code);
+  this.method = method;
+  this.status = "code_generated";
+  this.expiresAt = expiresAt;
+  this.generatedBy = generatedBy;
+  this.generatedAt = new Date();
+  this.failedAttempts = 0;
+  this.lockedAt = null;
+};
+
+// Constant-time comparison of a submitted code against the stored hash
+passwordResetRequestSchema.methods.matchesCode = function (code) {
+  if (!this.codeHash || !code) return false;
+  const expected = Buffer.from(this.codeHash, "hex");
+  const actual = Buffer.from(hashResetCode(code), "hex");
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
 // Method to check if code is valid
 passwordResetRequestSchema.methods.isCodeValid = function () {
-  if (!this.code) return false;
+  if (!this.codeHash) return false;
   if (this.status !== "code_generated") return false;
   if (this.expiresAt && new Date() >= this.expiresAt) return false;
   return true;
@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+
+// Server-side record of an issued refresh token; only a hash of the token is stored
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Tokens rotated from the same sign-in share a family, so reuse of an old token can revoke the whole chain
+    family: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      default: null,
+    },
+    replacedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RefreshToken",
+      default: null,
+    },
+    createdByIp: { type: String, default: null },
+    userAgent: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+refreshTokenSchema.index({ family: 1 });
+// Let MongoDB remove tokens once they have expired
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Method to check if the token can still be used
+refreshTokenSchema.methods.isActive = function () {
+  return !this.revokedAt && new Date() < this.expiresAt;
+};
+
+const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
+
+export default RefreshToken;
@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+import { ITEM_CATEGORIES } from "./FoundItem.js";
+
+// Items without a policy of their own fall back to the catch-all policy (category null), then to this
+export const DEFAULT_RETENTION_DAYS = Number(process.env.RETENTION_DEFAULT_DAYS) || 90;
+export const DEFAULT_RETENTION_WARNING_DAYS = 7;
+
+// How long unclaimed items of a category are kept before they are queued for disposal,
+// and how long lost reports stay open. Managed by admins.
+const retentionPolicySchema = new mongoose.Schema(
+  {
+    // null is the catch-all policy for categories without their own
+    category: {
+      type: String,
+      enum: [...ITEM_CATEGORIES, null],
+      default: null,
+    },
+    // Days after a found item was logged before it is queued for disposal
+    days: {
+      type: Number,
+      required: [true, "Retention days are required"],
+      min: [1, "Retention must be at least 1 day"],
+      max: [3650, "Retention cannot exceed 10 years"],
+    },
+    // Reporters and finders are warned this many days before the deadline
+    warningDays: {
+      type: Number,
+      min: [0, "Warning days cannot be negative"],
+      default: DEFAULT_RETENTION_WARNING_DAYS,
+    },
+    // Lost reports of this category are closed after this many days; null keeps them open
+    lostReportDays: {
+      type: Number,
+      min: [1, "Lost report retention must be at least 1 day"],
+      default: null,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+retentionPolicySchema.index({ category: 1 }, { unique: true });
+
+retentionPolicySchema.pre("validate", function (next) {
+  if (this.warningDays >= this.days) {
+    this.invalidate("warningDays", "The warning must come before the retention deadline");
+  }
+  next();
+});
+
+/**
+ * Effective policy for every category, with the catch-all and DEFAULT_RETENTION_DAYS filling the gaps
+ * @returns {Promise<Map<string, { days: number, warningDays: number, lostReportDays: number|null, source: string }>>}
+ */
+retentionPolicySchema.statics.resolveAll = async function () {
+  const policies = await this.find().lean();
+  const fallback = policies.find((policy) => policy.category === null);
+  const resolved = new Map();
+  for (const category of ITEM_CATEGORIES) {
+    const policy = policies.find((entry) => entry.category === category) || fallback;
+    resolved.set(category, {
+      days: policy?.days ?? DEFAULT_RETENTION_DAYS,
+      warningDays: policy?.warningDays ?? DEFAULT_RETENTION_WARNING_DAYS,
+      lostReportDays: policy?.lostReportDays ?? null,
+      source: policy ? (policy.category ? "category" : "default") : "built-in",
+    });
+  }
+  return resolved;
+};
+
+const RetentionPolicy = mongoose.model("RetentionPolicy", retentionPolicySchema);
+export default RetentionPolicy;
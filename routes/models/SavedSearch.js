@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+import { ITEM_CATEGORIES } from "./FoundItem.js";
+
+export const SAVED_SEARCH_FREQUENCIES = ["instant", "daily"];
+
+// A user's stored /api/search query, re-run against every newly logged found item
+const savedSearchSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: { type: String, trim: true, maxlength: 100, default: null },
+    // Same syntax as /api/search: words, "exact phrases" and -excluded words
+    query: { type: String, trim: true, default: "" },
+    filters: {
+      category: { type: String, enum: [...ITEM_CATEGORIES, null], default: null },
+      location: { type: String, trim: true, default: null },
+      // Only items found in this window; open-ended when unset
+      dateFrom: { type: Date, default: null },
+      dateTo: { type: Date, default: null },
+    },
+    // "instant" alerts per matching item, "daily" collects them into one digest
+    frequency: {
+      type: String,
+      enum: SAVED_SEARCH_FREQUENCIES,
+      default: "instant",
+    },
+    paused: { type: Boolean, default: false },
+    // Matches waiting for the next daily digest
+    pendingMatches: [
+      {
+        foundItem: { type: mongoose.Schema.Types.ObjectId, ref: "FoundItem" },
+        matchedAt: { type: Date, default: Date.now },
+        _id: false,
+      },
+    ],
+    matchCount: { type: Number, default: 0 },
+    lastMatchedAt: { type: Date, default: null },
+    lastDigestAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ paused: 1, "filters.category": 1 });
+
+// A saved search with neither words nor filters would alert on every item
+savedSearchSchema.pre("validate", function (next) {
+  const { category, location } = this.filters || {};
+  if (!this.query && !category && !location) {
+    this.invalidate("query", "A saved search needs a query or at least one filter");
+  }
+  if (this.filters?.dateFrom && this.filters?.dateTo && this.filters.dateFrom > this.filters.dateTo) {
+    this.invalidate("filters.dateTo", "dateTo must be after dateFrom");
+  }
+  next();
+});
+
+const SavedSearch = mongoose.model("SavedSearch", savedSearchSchema);
+export default SavedSearch;
@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+import { ITEM_CATEGORIES } from "./FoundItem.js";
+
+// A group of interchangeable search terms, e.g. ["airpods", "wireless earbuds", "earphones"].
+// Groups without a category apply to every search; the rest only when searching that category.
+const searchSynonymSchema = new mongoose.Schema(
+  {
+    category: {
+      type: String,
+      enum: [...ITEM_CATEGORIES, null],
+      default: null,
+    },
+    terms: {
+      type: [{ type: String, trim: true, lowercase: true }],
+      validate: {
+        validator: (terms) => new Set(terms.filter(Boolean)).size >= 2,
+        message: "A synonym group needs at least two different terms",
+      },
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+searchSynonymSchema.index({ category: 1 });
+
+// Drop blanks and duplicates before validation
+searchSynonymSchema.pre("validate", function (next) {
+  this.terms = [...new Set(this.terms.map((term) => term.replace(/\s+/g, " ").trim()).filter(Boolean))];
+  next();
+});
+
+/**
+ * Synonym groups that apply to a search, optionally narrowed to some categories
+ * @param {string} [category] - One category or a comma-separated list (as in the list filters)
+ * @returns {Promise<Array<{ category: string|null, terms: string[] }>>}
+ */
+searchSynonymSchema.statics.forCategory = function (category) {
+  const categories = String(category || "").split(",").map((value) => value.trim()).filter(Boolean);
+  const query = categories.length ? { category: { $in: [...categories, null] } } : {};
+  return this.find(query).select("category terms").lean();
+};
+
+const SearchSynonym = mongoose.model("SearchSynonym", searchSynonymSchema);
+export default SearchSynonym;
@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+
+// A bin, shelf or locker in the security office where found items are kept, e.g.
+// Main Library / Room 012 / C3. Managed by admins; staff assign found items to it.
+const storageLocationSchema = new mongoose.Schema(
+  {
+    building: { type: String, required: [true, "Building is required"], trim: true, maxlength: 100 },
+    room: { type: String, required: [true, "Room is required"], trim: true, maxlength: 100 },
+    // Shelf, bin or locker label as written on it ("C3"); stored upper-case so lookups ignore case
+    bin: { type: String, required: [true, "Shelf/bin is required"], trim: true, uppercase: true, maxlength: 30 },
+    // Maximum number of items kept here at once; null for no limit
+    capacity: { type: Number, min: [1, "Capacity must be at least 1"], default: null },
+    notes: { type: String, trim: true, maxlength: 500, default: null },
+    // Retired locations stay for the move history but no longer accept items
+    active: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true, toJSON: { virtuals: true }, toObject: { virtuals: true } }
+);
+
+storageLocationSchema.index({ building: 1, room: 1, bin: 1 }, { unique: true });
+storageLocationSchema.index({ bin: 1 });
+
+storageLocationSchema.virtual("label").get(function () {
+  return [this.building, this.room, this.bin].filter(Boolean).join(" / ");
+});
+
+const StorageLocation = mongoose.model("StorageLocation", storageLocationSchema);
+export default StorageLocation;
@@ -1,5 +1,16 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import crypto from "crypto";
+import { NOTIFICATION_TYPES } from "./Notification.js";
+import softDeletePlugin from "./plugins/softDelete.js";
+
+const EMAIL_VERIFICATION_TTL_HOURS = 48;
+
+// Per-event email switches; every event always reaches the in-app inbox
+const emailPreferences = NOTIFICATION_TYPES.reduce((fields, type) => {
+  fields[type] = { type: Boolean, default: true };
+  return fields;
+}, {});
 
 const userSchema = new mongoose.Schema({
   name: { type: String, required: true },
@@ -8,7 +19,6 @@ const userSchema = new mongoose.Schema({
   role: { type: String, enum: ["user", "staff", "admin"], default: "user" },
   studentId: { type: String },
   phone: { type: String },
-  adminSecret: { type: String },
   status: {
     type: String,
     enum: ["pending", "approved", "rejected"],
@@ -27,8 +37,23 @@ const userSchema = new mongoose.Schema({
   approvedAt: { type: Date, default: null },
   rejectedAt: { type: Date, default: null },
   rejectionReason: { type: String, default: null },
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: { type: Date, default: null },
+  // Hash of the emailed verification token; never returned by default
+  emailVerificationTokenHash: { type: String, default: null, select: false },
+  emailVerificationExpiresAt: { type: Date, default: null, select: false },
+  emailVerificationSentAt: { type: Date, default: null, select: false },
+  // Bumped to invalidate every access token issued so far (logout all devices, password reset, ...)
+  tokenVersion: { type: Number, default: 0 },
+  notificationPreferences: {
+    email: emailPreferences,
+  },
+  // Set when the user deleted their account; personal details were replaced (see utils/personalData.js)
+  anonymizedAt: { type: Date, default: null },
 }, { timestamps: true });
 
+userSchema.plugin(softDeletePlugin);
+
 // Hash password before saving
 userSchema.pre("save", async function(next) {
   if (!this.isModified("password")) return next();
@@ -42,4 +67,35 @@ userSchema.methods.comparePassword = async function(password) {
   return bcrypt.compare(password, this.password);
 }
 
+// Create a new email verification token; returns the plain token to email
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString("hex");
+  this.emailVerificationTokenHash = crypto.createHash("sha256").update(token).digest("hex");
+  this.emailVerificationExpiresAt = new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+  this.emailVerificationSentAt = new Date();
+  return token;
+}
+
+// Find the user an unexpired verification token was issued to
+userSchema.statics.findByEmailVerificationToken = function(token) {
+  const hash = crypto.createHash("sha256").update(String(token || "")).digest("hex");
+  return this.findOne({
+    emailVerificationTokenHash: hash,
+    emailVerificationExpiresAt: { $gt: new Date() },
+  });
+}
+
+// Mark the address as verified and drop the token
+userSchema.methods.markEmailVerified = function() {
+  this.emailVerified = true;
+  this.emailVerifiedAt = new Date();
+  this.emailVerificationTokenHash = null;
+  this.emailVerificationExpiresAt = null;
+}
+
+// Whether the user wants this event emailed as well as shown in-app
+userSchema.methods.wantsEmail = function(type) {
+  return this.notificationPreferences?.email?.[type] !== false;
+}
+
 export default mongoose.model("User", userSchema);
@@ -11,10 +11,17 @@ const verificationCodeSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ["staff"],
+      enum: ["staff", "admin"],
       required: true,
       default: "staff",
     },
+    // Admin invites are issued to a specific address
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: null,
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+
+// Query types that hide soft-deleted documents unless run with { withDeleted: true }
+const FILTERED_QUERIES = [
+  "find",
+  "findOne",
+  "findOneAndUpdate",
+  "countDocuments",
+  "distinct",
+  "updateOne",
+  "updateMany",
+];
+
+/**
+ * Soft delete plugin: adds deletedAt/deletedBy and hides deleted documents from every query.
+ * Use query.setOptions({ withDeleted: true }) (or populate's options) to include them,
+ * or filter on deletedAt explicitly to query the trash.
+ */
+export const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: { type: Date, default: null },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  });
+  schema.index({ deletedAt: 1 });
+
+  schema.pre(FILTERED_QUERIES, function (next) {
+    if (!this.getOptions().withDeleted && this.getFilter().deletedAt === undefined) {
+      this.where({ deletedAt: null });
+    }
+    next();
+  });
+
+  schema.pre("aggregate", function (next) {
+    const pipeline = this.pipeline();
+    const first = pipeline[0];
+    // $geoNear/$search must stay first, so only prepend when it is safe to do so
+    if (!this.options.withDeleted && !(first && (first.$geoNear || first.$search))) {
+      pipeline.unshift({ $match: { deletedAt: null } });
+    }
+    next();
+  });
+
+  // Move the document to the trash
+  schema.methods.softDelete = function (actorId = null) {
+    this.deletedAt = new Date();
+    this.deletedBy = actorId;
+    return this.save();
+  };
+
+  // Bring the document back out of the trash
+  schema.methods.restore = function () {
+    this.deletedAt = null;
+    this.deletedBy = null;
+    return this.save();
+  };
+};
+
+export default softDeletePlugin;
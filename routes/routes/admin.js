@@ -1,24 +1,73 @@
 // routes/admin.js
 import express from "express";
+import crypto from "crypto";
 import User from "../models/User.js";
+import LostItem from "../models/LostItem.js";
+import FoundItem from "../models/FoundItem.js";
 import VerificationCode from "../models/VerificationCode.js";
 import PasswordResetRequest from "../models/PasswordResetRequest.js";
+import ApprovalRules from "../models/ApprovalRules.js";
+import SearchSynonym from "../models/SearchSynonym.js";
+import RetentionPolicy from "../models/RetentionPolicy.js";
+import AuditLog from "../models/AuditLog.js";
 import { protect, requireRole } from "../middleware/auth.js";
+import { dispatchNotification } from "../utils/notifications.js";
+import { enqueueEmail } from "../utils/outbox.js";
+import { revokeUserSessions } from "../utils/tokens.js";
+import { recordAudit } from "../utils/audit.js";
+import { escapeRegex } from "../utils/text.js";
+import { scheduleMatching } from "../utils/matching.js";
+import { TRASH_RETENTION_DAYS } from "../utils/purge.js";
+import { runRetention } from "../utils/retention.js";
+import { paginate, buildListFilters } from "../utils/pagination.js";
+import { parseStatsFilters, STATS_SECTIONS } from "../utils/stats.js";
 
 const router = express.Router();
 
-// GET /api/admin/users - Fetch all users (admin only)
+const AUDIT_EXPORT_LIMIT = 10000;
+
+// Generate an 8-character staff/admin code that is not already in use
+const generateUniqueVerificationCode = async () => {
+  const chars = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // Excluding confusing chars
+  for (let attempts = 0; attempts < 10; attempts++) {
+    let code = "";
+    for (let i = 0; i < 8; i++) {
+      code += chars.charAt(crypto.randomInt(chars.length));
+    }
+    const existing = await VerificationCode.findOne({ code });
+    if (!existing) return code;
+  }
+  return null;
+};
+
+// GET /api/admin/users - Fetch users (admin only)
+// Query: status, role, emailVerified, search (name, email or student ID), dateFrom, dateTo (signup date),
+// plus the shared pagination params (limit, page | cursor, sort) - see utils/pagination.js
 router.get("/users", protect, requireRole("admin"), async (req, res) => {
   try {
-    const { status } = req.query; // Optional filter by status
-    const query = status ? { status } : {};
-    const users = await User.find(query)
-      .select("-password")
-      .populate("approvedBy", "name email")
-      .populate("rejectedBy", "name email")
-      .sort({ createdAt: -1 });
-    res.json({ users });
+    const { role, emailVerified, search } = req.query;
+    const query = buildListFilters(req.query, { locationField: null, category: false });
+    if (role) query.role = role;
+    if (emailVerified === "true") query.emailVerified = true;
+    if (emailVerified === "false") query.emailVerified = { $ne: true };
+    if (search) {
+      const pattern = escapeRegex(String(search));
+      query.$or = ["name", "email", "studentId"].map((field) => ({ [field]: { $regex: pattern, $options: "i" } }));
+    }
+
+    const { items: users, pagination } = await paginate(User, query, req, {
+      sortFields: ["createdAt", "name", "email", "role", "status"],
+      build: (q) =>
+        q
+          .select("-password")
+          .populate("approvedBy", "name email")
+          .populate("rejectedBy", "name email"),
+    });
+    res.json({ users, pagination });
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error("Error fetching users:", error);
     res.status(500).json({ message: "Internal server error" });
   }
@@ -38,9 +87,16 @@ router.patch("/users/:id/role", protect, requireRole("admin"), async (req, res)
       return res.status(400).json({ message: "Cannot change your own role" });
     }
 
-    const user = await User.findByIdAndUpdate(id, { role }, { new: true }).select("-password");
+    const previous = await User.findByIdAndUpdate(id, { role }).select("-password");
 
-    if (!user) return res.status(404).json({ message: "User not found" });
+    if (!previous) return res.status(404).json({ message: "User not found" });
+
+    const user = await User.findById(id).select("-password");
+
+    // Existing tokens carry the old permissions
+    await revokeUserSessions(user._id, "role_change");
+
+    await recordAudit(req, { action: "user.role.update", targetType: "User", before: previous, after: user });
 
     res.json({ message: "User role updated successfully", user });
   } catch (error) {
@@ -63,6 +119,13 @@ router.patch("/users/:id/status", protect, requireRole("admin"), async (req, res
       return res.status(400).json({ message: "Cannot change your own status" });
     }
 
+    if (status === "approved" && (await ApprovalRules.getRules()).requireVerifiedEmail) {
+      const target = await User.findById(id).select("emailVerified");
+      if (target && !target.emailVerified) {
+        return res.status(400).json({ message: "User has not verified their email address yet" });
+      }
+    }
+
     const update = {
       status,
       approvedBy: status === "approved" ? req.user._id : null,
@@ -72,9 +135,23 @@ router.patch("/users/:id/status", protect, requireRole("admin"), async (req, res
       rejectionReason: status === "rejected" ? "Updated by admin" : null,
     };
 
-    const user = await User.findByIdAndUpdate(id, update, { new: true }).select("-password");
+    const previous = await User.findByIdAndUpdate(id, update).select("-password");
 
-    if (!user) return res.status(404).json({ message: "User not found" });
+    if (!previous) return res.status(404).json({ message: "User not found" });
+
+    if (status !== "approved") {
+      await revokeUserSessions(id, status === "rejected" ? "rejected" : "status_change");
+    }
+
+    const user = await User.findById(id).select("-password");
+
+    await recordAudit(req, { action: "user.status.update", targetType: "User", before: previous, after: user });
+
+    if (previous.status !== status && status === "approved") {
+      dispatchNotification({ user }, "accountApproved");
+    } else if (previous.status !== status && status === "rejected") {
+      dispatchNotification({ user }, "accountRejected", { reason: user.rejectionReason });
+    }
 
     res.json({ message: "User status updated successfully", user });
   } catch (error) {
@@ -95,6 +172,11 @@ router.patch("/users/:id/approve", protect, requireRole("admin"), async (req, re
       return res.status(400).json({ message: "User is already approved" });
     }
 
+    if (!user.emailVerified && (await ApprovalRules.getRules()).requireVerifiedEmail) {
+      return res.status(400).json({ message: "User has not verified their email address yet" });
+    }
+
+    const before = user.toObject();
     user.status = "approved";
     user.approvedBy = req.user._id;
     user.approvedAt = new Date();
@@ -103,6 +185,8 @@ router.patch("/users/:id/approve", protect, requireRole("admin"), async (req, re
     user.rejectionReason = null;
 
     await user.save();
+    await recordAudit(req, { action: "user.approve", targetType: "User", before, after: user });
+    dispatchNotification({ user }, "accountApproved");
 
     const updatedUser = await User.findById(id)
       .select("-password")
@@ -128,6 +212,7 @@ router.patch("/users/:id/reject", protect, requireRole("admin"), async (req, res
       return res.status(400).json({ message: "User is already rejected" });
     }
 
+    const before = user.toObject();
     user.status = "rejected";
     user.rejectedBy = req.user._id;
     user.rejectedAt = new Date();
@@ -136,6 +221,15 @@ router.patch("/users/:id/reject", protect, requireRole("admin"), async (req, res
     user.approvedAt = null;
 
     await user.save();
+    await revokeUserSessions(user._id, "rejected");
+    await recordAudit(req, {
+      action: "user.reject",
+      targetType: "User",
+      before,
+      after: user,
+      metadata: { reason: user.rejectionReason },
+    });
+    dispatchNotification({ user }, "accountRejected", { reason: user.rejectionReason });
 
     const updatedUser = await User.findById(id)
       .select("-password")
@@ -157,44 +251,390 @@ router.delete("/users/:id", protect, requireRole("admin"), async (req, res) => {
       return res.status(400).json({ message: "Cannot delete your own account" });
     }
 
-    const user = await User.findByIdAndDelete(id);
+    const user = await User.findById(id);
 
     if (!user) return res.status(404).json({ message: "User not found" });
 
-    res.json({ message: "User deleted successfully" });
+    // Moved to the trash; purged for good after the retention period
+    const before = user.toObject();
+    await revokeUserSessions(user._id, "account_deleted");
+    await user.softDelete(req.user._id);
+    await recordAudit(req, { action: "user.delete", targetType: "User", before, after: user });
+
+    res.json({ message: "User moved to trash" });
   } catch (error) {
     console.error("Error deleting user:", error);
     res.status(500).json({ message: "Internal server error" });
   }
 });
 
-// POST /api/admin/verification-codes - Generate verification code for security officer (admin only)
-router.post("/verification-codes", protect, requireRole("admin"), async (req, res) => {
+// Trash types and the models/populate paths behind them
+const TRASH_TYPES = {
+  lost: { model: LostItem, targetType: "LostItem", action: "lostItem", populate: "reportedBy", label: "Lost item" },
+  found: { model: FoundItem, targetType: "FoundItem", action: "foundItem", populate: "foundBy", label: "Found item" },
+  user: { model: User, targetType: "User", action: "user", populate: null, label: "User" },
+};
+
+// GET /api/admin/trash - List soft-deleted records (admin only)
+// Query: type ("lost" | "found" | "user", default "lost"), dateFrom, dateTo (deletion date),
+// plus the shared pagination params (limit, page | cursor, sort) - see utils/pagination.js
+router.get("/trash", protect, requireRole("admin"), async (req, res) => {
   try {
-    const { expiresInDays = 7 } = req.body;
+    const type = TRASH_TYPES[req.query.type || "lost"];
+    if (!type) {
+      return res.status(400).json({ message: "Invalid trash type" });
+    }
 
-    // Generate a random 8-character code
-    const generateCode = () => {
-      const chars = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // Excluding confusing chars
-      let code = "";
-      for (let i = 0; i < 8; i++) {
-        code += chars.charAt(Math.floor(Math.random() * chars.length));
+    const query = buildListFilters(req.query, { dateField: "deletedAt", locationField: null, category: false });
+    query.deletedAt = { ...query.deletedAt, $ne: null };
+
+    const { items: records, pagination } = await paginate(type.model, query, req, {
+      sortFields: ["deletedAt", "createdAt"],
+      defaultSort: "-deletedAt",
+      build: (q) => {
+        let listQuery = q.setOptions({ withDeleted: true }).populate("deletedBy", "name email");
+        if (type.populate) listQuery = listQuery.populate(type.populate, "name email");
+        if (type.model === User) listQuery = listQuery.select("-password");
+        return listQuery;
+      },
+    });
+
+    const purgeAfterMs = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    res.json({
+      records: records.map((record) => ({
+        ...record.toObject(),
+        purgeAt: new Date(record.deletedAt.getTime() + purgeAfterMs),
+      })),
+      retentionDays: TRASH_RETENTION_DAYS,
+      pagination,
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Error fetching trash:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// POST /api/admin/trash/:type/:id/restore - Restore a soft-deleted record (admin only)
+router.post("/trash/:type/:id/restore", protect, requireRole("admin"), async (req, res) => {
+  try {
+    const type = TRASH_TYPES[req.params.type];
+    if (!type) {
+      return res.status(400).json({ message: "Invalid trash type" });
+    }
+
+    const record = await type.model.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    if (!record) {
+      return res.status(404).json({ message: `${type.label} not found in trash` });
+    }
+
+    const before = record.toObject();
+    await record.restore();
+    await recordAudit(req, { action: `${type.action}.restore`, targetType: type.targetType, before, after: record });
+
+    if (type.model === LostItem) scheduleMatching("lost", record);
+    if (type.model === FoundItem) scheduleMatching("found", record);
+
+    const restored = record.toObject();
+    delete restored.password;
+    res.json({ message: `${type.label} restored`, record: restored });
+  } catch (error) {
+    console.error("Error restoring from trash:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// GET /api/admin/approval-rules - Get the signup approval rules (admin only)
+router.get("/approval-rules", protect, requireRole("admin"), async (req, res) => {
+  try {
+    const rules = await ApprovalRules.getRules();
+    await rules.populate("updatedBy", "name email");
+    res.json({ rules });
+  } catch (error) {
+    console.error("Error fetching approval rules:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// PUT /api/admin/approval-rules - Update the signup approval rules (admin only)
+// Body: { allowedDomains?: string[], deniedDomains?: string[], studentIdPattern?: string|null, requireVerifiedEmail?: boolean }
+router.put("/approval-rules", protect, requireRole("admin"), async (req, res) => {
+  try {
+    const { allowedDomains, deniedDomains, studentIdPattern, requireVerifiedEmail } = req.body;
+    const rules = await ApprovalRules.getRules();
+    const before = rules.toObject();
+
+    const normalizeDomains = (value) =>
+      [...new Set(value.map((domain) => String(domain).trim().toLowerCase().replace(/^@/, "")).filter(Boolean))];
+
+    for (const [field, value] of [["allowedDomains", allowedDomains], ["deniedDomains", deniedDomains]]) {
+      if (value === undefined) continue;
+      if (!Array.isArray(value)) {
+        return res.status(400).json({ message: `${field} must be an array of domains` });
       }
-      return code;
-    };
+      rules[field] = normalizeDomains(value);
+    }
+
+    const overlap = rules.allowedDomains.filter((domain) => rules.deniedDomains.includes(domain));
+    if (overlap.length) {
+      return res.status(400).json({ message: `Domains cannot be both allowed and denied: ${overlap.join(", ")}` });
+    }
+
+    if (studentIdPattern !== undefined) rules.studentIdPattern = studentIdPattern || null;
+    if (requireVerifiedEmail !== undefined) rules.requireVerifiedEmail = Boolean(requireVerifiedEmail);
+    rules.updatedBy = req.user._id;
+
+    await rules.save();
+    await recordAudit(req, { action: "approvalRules.update", targetType: "ApprovalRules", before, after: rules });
+    await rules.populate("updatedBy", "name email");
+
+    res.json({ message: "Approval rules updated successfully", rules });
+  } catch (error) {
+    console.error("Error updating approval rules:", error);
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((e) => e.message).join(", ");
+      return res.status(400).json({ message: `Validation error: ${messages}` });
+    }
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// POST /api/admin/approval-rules/test - Preview what the rules decide for a signup (admin only)
+// Body: { email: string, studentId?: string }
+router.post("/approval-rules/test", protect, requireRole("admin"), async (req, res) => {
+  try {
+    const email = (req.body.email || "").trim().toLowerCase();
+    if (!email) return res.status(400).json({ message: "Email is required" });
+
+    const rules = await ApprovalRules.getRules();
+    res.json(rules.evaluate({ email, studentId: (req.body.studentId || "").trim() }));
+  } catch (error) {
+    console.error("Error testing approval rules:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// GET /api/admin/search-synonyms - List search synonym groups (admin only)
+// Query: category (use "none" for groups that apply to every category)
+router.get("/search-synonyms", protect, requireRole("admin"), async (req, res) => {
+  try {
+    const { category } = req.query;
+    const query = {};
+    if (category) query.category = category === "none" ? null : category;
+
+    const synonyms = await SearchSynonym.find(query)
+      .populate("updatedBy", "name email")
+      .sort({ category: 1, createdAt: -1 });
+    res.json({ synonyms });
+  } catch (error) {
+    console.error("Error fetching search synonyms:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// POST /api/admin/search-synonyms - Add a synonym group (admin only)
+// Body: { terms: string[], category?: string|null }
+router.post("/search-synonyms", protect, requireRole("admin"), async (req, res) => {
+  try {
+    const { terms, category = null } = req.body;
+    if (!Array.isArray(terms)) {
+      return res.status(400).json({ message: "terms must be an array" });
+    }
+
+    const synonym = await SearchSynonym.create({
+      terms: terms.map(String),
+      category: category || null,
+      createdBy: req.user._id,
+      updatedBy: req.user._id,
+    });
+    await recordAudit(req, { action: "searchSynonym.create", targetType: "SearchSynonym", after: synonym });
+
+    res.status(201).json({ message: "Synonym group created", synonym });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((e) => e.message).join(", ");
+      return res.status(400).json({ message: `Validation error: ${messages}` });
+    }
+    console.error("Error creating search synonym:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// PUT /api/admin/search-synonyms/:id - Replace a synonym group's terms or category (admin only)
+// Body: { terms?: string[], category?: string|null }
+router.put("/search-synonyms/:id", protect, requireRole("admin"), async (req, res) => {
+  try {
+    const { terms, category } = req.body;
+    const synonym = await SearchSynonym.findById(req.params.id);
+    if (!synonym) return res.status(404).json({ message: "Synonym group not found" });
+
+    const before = synonym.toObject();
+    if (terms !== undefined) {
+      if (!Array.isArray(terms)) {
+        return res.status(400).json({ message: "terms must be an array" });
+      }
+      synonym.terms = terms.map(String);
+    }
+    if (category !== undefined) synonym.category = category || null;
+    synonym.updatedBy = req.user._id;
+    await synonym.save();
+
+    await recordAudit(req, { action: "searchSynonym.update", targetType: "SearchSynonym", before, after: synonym });
+
+    res.json({ message: "Synonym group updated", synonym });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((e) => e.message).join(", ");
+      return res.status(400).json({ message: `Validation error: ${messages}` });
+    }
+    console.error("Error updating search synonym:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// DELETE /api/admin/search-synonyms/:id - Remove a synonym group (admin only)
+router.delete("/search-synonyms/:id", protect, requireRole("admin"), async (req, res) => {
+  try {
+    const synonym = await SearchSynonym.findByIdAndDelete(req.params.id);
+    if (!synonym) return res.status(404).json({ message: "Synonym group not found" });
 
-    // Ensure code is unique
-    let code;
-    let isUnique = false;
-    let attempts = 0;
-    while (!isUnique && attempts < 10) {
-      code = generateCode();
-      const existing = await VerificationCode.findOne({ code });
-      if (!existing) isUnique = true;
-      attempts++;
+    await recordAudit(req, { action: "searchSynonym.delete", targetType: "SearchSynonym", before: synonym });
+
+    res.json({ message: "Synonym group deleted" });
+  } catch (error) {
+    console.error("Error deleting search synonym:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// GET /api/admin/retention-policies - Retention policies and the policy in effect for each category (admin only)
+router.get("/retention-policies", protect, requireRole("admin"), async (req, res) => {
+  try {
+    const [policies, effective] = await Promise.all([
+      RetentionPolicy.find().populate("updatedBy", "name email").sort({ category: 1 }),
+      RetentionPolicy.resolveAll(),
+    ]);
+    res.json({ policies, effective: Object.fromEntries(effective) });
+  } catch (error) {
+    console.error("Error fetching retention policies:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// PUT /api/admin/retention-policies/:category - Create or replace a category's retention policy (admin only)
+// Use "default" as the category for the catch-all policy. Body: { days, warningDays?, lostReportDays? }
+router.put("/retention-policies/:category", protect, requireRole("admin"), async (req, res) => {
+  try {
+    const category = req.params.category === "default" ? null : req.params.category;
+    const { days, warningDays, lostReportDays } = req.body;
+
+    let policy = await RetentionPolicy.findOne({ category });
+    const before = policy ? policy.toObject() : null;
+    if (!policy) policy = new RetentionPolicy({ category });
+
+    policy.days = days;
+    if (warningDays !== undefined) policy.warningDays = warningDays;
+    if (lostReportDays !== undefined) policy.lostReportDays = lostReportDays || null;
+    policy.updatedBy = req.user._id;
+    await policy.save();
+
+    await recordAudit(req, {
+      action: before ? "retentionPolicy.update" : "retentionPolicy.create",
+      targetType: "RetentionPolicy",
+      before,
+      after: policy,
+    });
+
+    res.status(before ? 200 : 201).json({ message: "Retention policy saved", policy });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((e) => e.message).join(", ");
+      return res.status(400).json({ message: `Validation error: ${messages}` });
+    }
+    console.error("Error saving retention policy:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// DELETE /api/admin/retention-policies/:category - Remove a policy so the category falls back to the default (admin only)
+router.delete("/retention-policies/:category", protect, requireRole("admin"), async (req, res) => {
+  try {
+    const category = req.params.category === "default" ? null : req.params.category;
+    const policy = await RetentionPolicy.findOneAndDelete({ category });
+    if (!policy) return res.status(404).json({ message: "Retention policy not found" });
+
+    await recordAudit(req, { action: "retentionPolicy.delete", targetType: "RetentionPolicy", before: policy });
+
+    res.json({ message: "Retention policy deleted" });
+  } catch (error) {
+    console.error("Error deleting retention policy:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// POST /api/admin/retention/run - Apply the retention policies now instead of waiting for the scheduled job (admin only)
+router.post("/retention/run", protect, requireRole("admin"), async (req, res) => {
+  try {
+    const result = await runRetention();
+    if (!result) {
+      return res.status(409).json({ message: "A retention run is already in progress" });
     }
+    res.json({ message: "Retention policies applied", result });
+  } catch (error) {
+    console.error("Error running retention:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// GET /api/admin/stats - Dashboard overview: every stats section in one response (admin only)
+// Query: dateFrom, dateTo (default: last 30 days), category (comma-separated), interval=day|week|month, limit - see utils/stats.js
+router.get("/stats", protect, requireRole("admin"), async (req, res) => {
+  try {
+    const filters = parseStatsFilters(req.query);
+    const sections = await Promise.all(Object.values(STATS_SECTIONS).map((section) => section(filters)));
 
-    if (!isUnique) {
+    res.json({
+      filters,
+      ...Object.fromEntries(Object.keys(STATS_SECTIONS).map((name, index) => [name, sections[index]])),
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Error building stats:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// GET /api/admin/stats/:section - One stats section: reports, recovery, top, claims, workload or queues (admin only)
+// Query: same filters as GET /api/admin/stats
+router.get("/stats/:section", protect, requireRole("admin"), async (req, res) => {
+  try {
+    const { section } = req.params;
+    if (!Object.hasOwn(STATS_SECTIONS, section)) {
+      return res.status(404).json({ message: `Unknown stats section. Available: ${Object.keys(STATS_SECTIONS).join(", ")}` });
+    }
+
+    const filters = parseStatsFilters(req.query);
+    res.json({ filters, [section]: await STATS_SECTIONS[section](filters) });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Error building stats:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// POST /api/admin/verification-codes - Generate verification code for security officer (admin only)
+router.post("/verification-codes", protect, requireRole("admin"), async (req, res) => {
+  try {
+    const { expiresInDays = 7 } = req.body;
+
+    const code = await generateUniqueVerificationCode();
+    if (!code) {
       return res.status(500).json({ message: "Failed to generate unique code" });
     }
 
@@ -211,6 +651,7 @@ router.post("/verification-codes", protect, requireRole("admin"), async (req, re
     });
 
     await verificationCode.save();
+    await recordAudit(req, { action: "verificationCode.create", targetType: "VerificationCode", after: verificationCode });
 
     res.status(201).json({
       message: "Verification code generated successfully",
@@ -228,10 +669,69 @@ router.post("/verification-codes", protect, requireRole("admin"), async (req, re
   }
 });
 
+// POST /api/admin/admin-invites - Invite another admin by email (admin only)
+// Body: { email: string, expiresInDays?: number }
+router.post("/admin-invites", protect, requireRole("admin"), async (req, res) => {
+  try {
+    const email = (req.body.email || "").trim().toLowerCase();
+    const { expiresInDays = 3 } = req.body;
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.status(400).json({ message: "A valid email is required" });
+    }
+
+    if (await User.findOne({ email })) {
+      return res.status(400).json({ message: "A user with this email already exists" });
+    }
+
+    const code = await generateUniqueVerificationCode();
+    if (!code) {
+      return res.status(500).json({ message: "Failed to generate unique code" });
+    }
+
+    const expiresAt = new Date();
+    expiresAt.setDate(expiresAt.getDate() + (expiresInDays || 3));
+
+    const invite = new VerificationCode({
+      code,
+      role: "admin",
+      email,
+      createdBy: req.user._id,
+      expiresAt,
+    });
+
+    await invite.save();
+    await recordAudit(req, { action: "adminInvite.create", targetType: "VerificationCode", after: invite });
+
+    enqueueEmail("adminInvite", email, {
+      invitedBy: req.user.name,
+      code: invite.code,
+      expiresAt: invite.expiresAt,
+    });
+
+    res.status(201).json({
+      message: "Admin invite sent successfully",
+      invite: {
+        id: invite._id,
+        email: invite.email,
+        code: invite.code,
+        role: invite.role,
+        expiresAt: invite.expiresAt,
+        createdAt: invite.createdAt,
+      },
+    });
+  } catch (error) {
+    console.error("Error creating admin invite:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
 // GET /api/admin/verification-codes - Get all verification codes (admin only)
+// Query: role=staff|admin to list only staff codes or admin invites
 router.get("/verification-codes", protect, requireRole("admin"), async (req, res) => {
   try {
-    const codes = await VerificationCode.find({})
+    const { role } = req.query;
+    const codes = await VerificationCode.find(role ? { role } : {})
       .populate("createdBy", "name email")
       .populate("usedBy", "name email")
       .sort({ createdAt: -1 });
@@ -251,6 +751,8 @@ router.delete("/verification-codes/:id", protect, requireRole("admin"), async (r
 
     if (!code) return res.status(404).json({ message: "Verification code not found" });
 
+    await recordAudit(req, { action: "verificationCode.delete", targetType: "VerificationCode", before: code });
+
     res.json({ message: "Verification code deleted successfully" });
   } catch (error) {
     console.error("Error deleting verification code:", error);
@@ -261,22 +763,93 @@ router.delete("/verification-codes/:id", protect, requireRole("admin"), async (r
 // GET /api/admin/password-reset-requests - Get all password reset requests (admin only)
 router.get("/password-reset-requests", protect, requireRole("admin"), async (req, res) => {
   try {
-    const { status } = req.query; // Optional filter by status: "pending", "code_generated", "completed", "expired"
-    
-    const query = status ? { status } : {};
-    
-    const requests = await PasswordResetRequest.find(query)
-      .populate("user", "name email studentId phone")
-      .populate("generatedBy", "name email")
-      .sort({ createdAt: -1 });
+    // Optional filters: status ("pending", "code_generated", "completed", "expired", "locked"), dateFrom, dateTo
+    const query = buildListFilters(req.query, { locationField: null, category: false });
+
+    const { items: requests, pagination } = await paginate(PasswordResetRequest, query, req, {
+      sortFields: ["createdAt", "status"],
+      build: (q) =>
+        q
+          .select("-codeHash")
+          .populate("user", "name email studentId phone")
+          .populate("generatedBy", "name email"),
+    });
 
-    res.json({ requests });
+    res.json({ requests, pagination });
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error("Error fetching password reset requests:", error);
     res.status(500).json({ message: "Internal server error" });
   }
 });
 
+// Build the audit log query shared by the list and export endpoints
+// Query: actor, action (exact, or a prefix ending in "." such as "user."), targetType, targetId, from, to
+const buildAuditLogQuery = ({ actor, action, targetType, targetId, from, to }) => {
+  const query = {};
+  if (actor) query.actor = actor;
+  if (action) {
+    query.action = action.endsWith(".") ? { $regex: `^${escapeRegex(action)}` } : action;
+  }
+  if (targetType) query.targetType = targetType;
+  if (targetId) query.targetId = targetId;
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+  }
+  return query;
+};
+
+// GET /api/admin/audit-log - Filterable, paginated audit trail (admin only)
+// Query: see buildAuditLogQuery, plus the shared pagination params (limit, page | cursor) - see utils/pagination.js
+router.get("/audit-log", protect, requireRole("admin"), async (req, res) => {
+  try {
+    const { items: entries, pagination } = await paginate(AuditLog, buildAuditLogQuery(req.query), req, {
+      sortFields: ["createdAt"],
+      build: (q) => q.populate("actor", "name email role"),
+    });
+
+    res.json({ entries, pagination });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Error fetching audit log:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// GET /api/admin/audit-log/export - Download the filtered audit trail as CSV (admin only)
+router.get("/audit-log/export", protect, requireRole("admin"), async (req, res) => {
+  try {
+    const entries = await AuditLog.find(buildAuditLogQuery(req.query))
+      .sort({ createdAt: -1 })
+      .limit(AUDIT_EXPORT_LIMIT)
+      .lean();
+
+    const csvCell = (value) => {
+      if (value === null || value === undefined) return "";
+      const text = typeof value === "object" && !(value instanceof Date) ? JSON.stringify(value) : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const columns = ["createdAt", "actorName", "actorEmail", "actorRole", "action", "targetType", "targetId", "before", "after", "metadata", "ip"];
+    const rows = entries.map((entry) =>
+      columns.map((column) => csvCell(column === "createdAt" ? entry.createdAt?.toISOString() : entry[column])).join(",")
+    );
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.send([columns.join(","), ...rows].join("\n"));
+  } catch (error) {
+    console.error("Error exporting audit log:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
 // POST /api/admin/password-reset-requests/:id/generate-code - Generate code for a specific password reset request (admin only)
 router.post(
   "/password-reset-requests/:id/generate-code",
@@ -303,47 +876,30 @@ router.post(
         return res.status(400).json({ message: "This password reset request has expired" });
       }
 
-      // Generate a 6-character alphanumeric code
-      const generateCode = () => {
-        const chars = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // Excluding confusing chars
-        let code = "";
-        for (let i = 0; i < 6; i++) {
-          code += chars.charAt(Math.floor(Math.random() * chars.length));
-        }
-        return code;
-      };
-
-      // Ensure code is unique
-      let code;
-      let isUnique = false;
-      let attempts = 0;
-      while (!isUnique && attempts < 10) {
-        code = generateCode();
-        const existing = await PasswordResetRequest.findOne({
-          code,
-          status: "code_generated",
-          expiresAt: { $gt: new Date() },
-        });
-        if (!existing) isUnique = true;
-        attempts++;
-      }
-
-      if (!isUnique) {
-        return res.status(500).json({ message: "Failed to generate unique code. Please try again." });
+      // Generate a 6-character alphanumeric code with a secure RNG
+      const chars = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // Excluding confusing chars
+      let code = "";
+      for (let i = 0; i < 6; i++) {
+        code += chars.charAt(crypto.randomInt(chars.length));
       }
 
       // Set expiration
       const expiresAt = new Date();
       expiresAt.setMinutes(expiresAt.getMinutes() + expiresInMinutes);
 
-      // Update the request with code
-      resetRequest.code = code;
-      resetRequest.status = "code_generated";
-      resetRequest.expiresAt = expiresAt;
-      resetRequest.generatedBy = req.user._id;
-      resetRequest.generatedAt = new Date();
+      // Store only the hash; the plain code is returned once so the admin can pass it on
+      // (this also unlocks requests locked after too many wrong attempts)
+      const before = resetRequest.toObject({ depopulate: true });
+      resetRequest.setCode(code, { method: "admin", expiresAt, generatedBy: req.user._id });
 
       await resetRequest.save();
+      await recordAudit(req, {
+        action: "passwordReset.generateCode",
+        targetType: "PasswordResetRequest",
+        before,
+        after: resetRequest,
+        metadata: { user: resetRequest.user._id },
+      });
 
       // Populate user info for response
       const updatedRequest = await PasswordResetRequest.findById(id)
@@ -354,7 +910,7 @@ router.post(
         message: "Password reset code generated successfully",
         request: {
           id: updatedRequest._id,
-          code: updatedRequest.code,
+          code,
           expiresAt: updatedRequest.expiresAt,
           user: {
             id: updatedRequest.user._id,
@@ -1,15 +1,26 @@
 // routes/auth.js
 import express from "express";
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
+import crypto from "crypto";
 import mongoose from "mongoose";
 import User from "../models/User.js";
 import VerificationCode from "../models/VerificationCode.js";
-import PasswordResetRequest from "../models/PasswordResetRequest.js";
+import ApprovalRules from "../models/ApprovalRules.js";
+import PasswordResetRequest, { MAX_RESET_ATTEMPTS } from "../models/PasswordResetRequest.js";
 import { protect, verifyToken } from "../middleware/auth.js";
+import { issueTokens, rotateRefreshToken, revokeRefreshToken, revokeUserSessions } from "../utils/tokens.js";
+import { enqueueEmail } from "../utils/outbox.js";
+import { dispatchNotification } from "../utils/notifications.js";
+import { recordAudit } from "../utils/audit.js";
+import { buildPersonalDataExport, personalDataZip, anonymizationBlocker, anonymizeUser } from "../utils/personalData.js";
 
 const router = express.Router();
 
+// Self-service reset links are valid for 30 minutes and can be resent once a minute
+const RESET_TOKEN_TTL_MINUTES = 30;
+const RESET_EMAIL_COOLDOWN_MS = 60 * 1000;
+const VERIFICATION_EMAIL_COOLDOWN_MS = 60 * 1000;
+
 // POST /api/auth/signin
 router.post("/signin", async (req, res) => {
   try {
@@ -28,52 +39,6 @@ router.post("/signin", async (req, res) => {
     const email = (req.body.email || "").trim();
     const password = req.body.password || "";
 
-    // Hardcoded admin credentials check
-    const ADMIN_EMAIL = "admin@foundcloud.com";
-    const ADMIN_PASSWORD = "Admin@2024";
-
-    if (email === ADMIN_EMAIL && password === ADMIN_PASSWORD) {
-      // Create or find admin user
-      let adminUser = await User.findOne({ email: ADMIN_EMAIL });
-      
-      if (!adminUser) {
-        // Create admin user if doesn't exist (password will be hashed by pre-save hook)
-        adminUser = new User({
-          name: "System Administrator",
-          email: ADMIN_EMAIL,
-          password: ADMIN_PASSWORD, // Pre-save hook will hash it
-          role: "admin",
-          studentId: "ADMIN001",
-          phone: "+1234567890",
-          status: "approved", // Admin is always approved
-        });
-        await adminUser.save();
-      }
-
-      // Generate JWT token for admin
-      const token = jwt.sign(
-        { id: adminUser._id },
-        process.env.JWT_SECRET,
-        { expiresIn: "7d" }
-      );
-
-      const userData = {
-        id: adminUser._id,
-        name: adminUser.name,
-        email: adminUser.email,
-        role: adminUser.role,
-        studentId: adminUser.studentId,
-        phone: adminUser.phone,
-        status: adminUser.status || "approved",
-      };
-
-      return res.json({
-        message: "Sign in successful",
-        token,
-        user: userData,
-      });
-    }
-
     // Find user by email (case insensitive)
     const user = await User.findOne({ email: email.toLowerCase() });
     if (!user) {
@@ -95,12 +60,8 @@ router.post("/signin", async (req, res) => {
       return res.status(403).json({ message: "Your account was rejected by an admin." });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: "7d" }
-    );
+    // Issue a short-lived access token and a rotating refresh token
+    const { token, refreshToken, expiresIn } = await issueTokens(user, req);
 
     // Return user data (without password)
     const userData = {
@@ -111,11 +72,14 @@ router.post("/signin", async (req, res) => {
       studentId: user.studentId,
       phone: user.phone,
       status: user.status,
+      emailVerified: user.emailVerified,
     };
 
     res.json({
       message: "Sign in successful",
       token,
+      refreshToken,
+      expiresIn,
       user: userData,
     });
   } catch (error) {
@@ -135,6 +99,52 @@ router.post("/signin", async (req, res) => {
   }
 });
 
+// POST /api/auth/refresh
+// Body: { refreshToken: string }
+// Exchanges a refresh token for a new access/refresh pair; the old refresh token stops working
+router.post("/refresh", async (req, res) => {
+  try {
+    const result = await rotateRefreshToken(req.body.refreshToken, req);
+    if (!result) {
+      return res.status(401).json({ message: "Invalid or expired refresh token" });
+    }
+
+    res.json({
+      token: result.token,
+      refreshToken: result.refreshToken,
+      expiresIn: result.expiresIn,
+    });
+  } catch (error) {
+    console.error("Refresh token error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// POST /api/auth/logout
+// Body: { refreshToken: string }
+// Ends the session on this device
+router.post("/logout", async (req, res) => {
+  try {
+    await revokeRefreshToken(req.body.refreshToken);
+    res.json({ message: "Logged out successfully" });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// POST /api/auth/logout-all
+// Ends every session of the current user on all devices
+router.post("/logout-all", verifyToken, async (req, res) => {
+  try {
+    await revokeUserSessions(req.user._id, "logout_all");
+    res.json({ message: "Logged out of all devices" });
+  } catch (error) {
+    console.error("Logout all error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
 // POST /api/auth/signup
 router.post("/signup", async (req, res) => {
   try {
@@ -164,25 +174,32 @@ router.post("/signup", async (req, res) => {
     }
 
     // Validate role
-    if (role && !["user", "staff"].includes(role)) {
-      return res.status(400).json({ message: "Invalid role. Must be 'user' or 'staff'" });
+    if (role && !["user", "staff", "admin"].includes(role)) {
+      return res.status(400).json({ message: "Invalid role. Must be 'user', 'staff' or 'admin'" });
     }
 
-    // If signing up as staff (security officer), require verification code
-    if (role === "staff") {
+    // Staff (security officers) need a verification code, admins an invite code
+    if (role === "staff" || role === "admin") {
       if (!verificationCode) {
         return res.status(400).json({ 
-          message: "Verification code is required for security officer registration" 
+          message: role === "admin"
+            ? "An invite code is required for admin registration"
+            : "Verification code is required for security officer registration"
         });
       }
 
       // Find and validate verification code
       const codeDoc = await VerificationCode.findOne({ code: verificationCode });
 
-      if (!codeDoc) {
+      if (!codeDoc || codeDoc.role !== role) {
         return res.status(400).json({ message: "Invalid verification code" });
       }
 
+      // Admin invites are bound to the invited address
+      if (codeDoc.email && codeDoc.email !== email) {
+        return res.status(400).json({ message: "This invite was issued for a different email address" });
+      }
+
       // Check if code is already used
       if (codeDoc.isUsed) {
         return res.status(400).json({ message: "Verification code has already been used" });
@@ -194,10 +211,26 @@ router.post("/signup", async (req, res) => {
       }
     }
 
+    // Regular users go through the admin-managed approval rules
+    let allowListed = false;
+    if (role === "user") {
+      const rules = await ApprovalRules.getRules();
+      const { decision, reason } = rules.evaluate({ email, studentId });
+      if (decision === "reject") {
+        return res.status(403).json({ message: reason });
+      }
+      if (decision === "invalid") {
+        return res.status(400).json({ message: reason });
+      }
+      // Anyone can type an allow-listed address, so approval waits until the address is verified
+      allowListed = decision === "approve";
+    }
+
     // Check if user already exists
     const or = [{ email }];
     if (studentId) or.push({ studentId });
-    const existingUser = await User.findOne({ $or: or });
+    // Trashed accounts keep their email/student ID until they are purged
+    const existingUser = await User.findOne({ $or: or }).setOptions({ withDeleted: true });
 
     if (existingUser) {
       return res
@@ -210,16 +243,27 @@ router.post("/signup", async (req, res) => {
       name,
       email,
       password, // Let the pre-save hook handle hashing
-      role: role === "admin" ? "user" : role, // Prevent admin role creation via signup
+      role, // Staff/admin roles were checked against their code above
       studentId,
       phone,
-      status: role === "staff" ? "approved" : "pending", // Staff auto-approved, regular users need admin approval
+      // Staff and invited admins are approved straight away; users wait for email verification
+      // (allow-listed) or an admin
+      status: role === "user" ? "pending" : "approved",
+      approvedAt: role === "user" ? null : new Date(),
     });
 
+    // Admin invites were sent to this exact address, so it is already proven
+    const verificationToken = role === "admin" ? null : user.createEmailVerificationToken();
+    if (role === "admin") user.markEmailVerified();
+
     await user.save();
 
-    // If staff registration, mark verification code as used and link to user
-    if (role === "staff" && verificationCode) {
+    if (verificationToken) {
+      enqueueEmail("verifyEmail", user.email, { name: user.name, token: verificationToken });
+    }
+
+    // If staff/admin registration, mark verification code as used and link to user
+    if (role !== "user" && verificationCode) {
       const codeDoc = await VerificationCode.findOne({ code: verificationCode });
       if (codeDoc) {
         codeDoc.isUsed = true;
@@ -229,11 +273,13 @@ router.post("/signup", async (req, res) => {
       }
     }
 
-    // Return minimal data; frontend can poll /api/auth/me after approval
+    // Return minimal data; the approval decision arrives via /api/notifications
     res.status(201).json({ 
-      message: user.role === "staff"
-        ? "Staff account created and approved."
-        : "Account created. Please wait for admin approval.",
+      message: user.status === "pending"
+        ? allowListed
+          ? "Account created. Verify your email address to activate it."
+          : "Account created. Please wait for admin approval."
+        : `${{ admin: "Admin", staff: "Staff", user: "User" }[user.role]} account created and approved.`,
       user: {
       id: user._id,
       name: user.name,
@@ -242,6 +288,7 @@ router.post("/signup", async (req, res) => {
       studentId: user.studentId,
       phone: user.phone,
       status: user.status,
+      emailVerified: user.emailVerified,
       },
     });
   } catch (error) {
@@ -289,6 +336,7 @@ router.get("/me", verifyToken, async (req, res) => {
       status: user.status, // "pending", "approved", or "rejected"
       studentId: user.studentId || null,
       phone: user.phone || null,
+      emailVerified: user.emailVerified,
       createdAt: user.createdAt,
     };
 
@@ -300,9 +348,145 @@ router.get("/me", verifyToken, async (req, res) => {
   }
 });
 
+// GET /api/auth/me/export - Download everything stored about the current user
+// Query: format=json (default) | zip (one JSON file per section)
+router.get("/me/export", verifyToken, async (req, res) => {
+  try {
+    const format = String(req.query.format || "json").toLowerCase();
+    if (!["json", "zip"].includes(format)) {
+      return res.status(400).json({ message: "format must be json or zip" });
+    }
+
+    const data = await buildPersonalDataExport(req.user);
+    const fileName = `personal-data-${new Date().toISOString().slice(0, 10)}.${format}`;
+    await recordAudit(req, { action: "user.export", targetType: "User", targetId: req.user._id, metadata: { format } });
+
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    if (format === "zip") {
+      res.setHeader("Content-Type", "application/zip");
+      return res.send(personalDataZip(data));
+    }
+    res.setHeader("Content-Type", "application/json; charset=utf-8");
+    res.send(JSON.stringify(data, null, 2));
+  } catch (error) {
+    console.error("Error exporting personal data:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// DELETE /api/auth/me - Delete the current account
+// Body: { password: string, confirm: "DELETE" }
+// Personal details are anonymized rather than removed, so reports and claims stay consistent for staff
+router.delete("/me", verifyToken, async (req, res) => {
+  try {
+    const { password, confirm } = req.body || {};
+    if (confirm !== "DELETE") {
+      return res.status(400).json({ message: "Send confirm: \"DELETE\" to delete your account" });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    if (!password || !(await user.comparePassword(password))) {
+      return res.status(401).json({ message: "Password is incorrect" });
+    }
+
+    const blocker = await anonymizationBlocker(user);
+    if (blocker) {
+      return res.status(409).json({ message: blocker });
+    }
+
+    await anonymizeUser(user);
+    res.json({ message: "Your account has been deleted" });
+  } catch (error) {
+    console.error("Error deleting account:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Shared by GET and POST /api/auth/verify-email
+const verifyEmail = async (req, res) => {
+  try {
+    const token = (req.query.token || req.body?.token || "").trim();
+    if (!token) {
+      return res.status(400).json({ message: "Verification token is required" });
+    }
+
+    const user = await User.findByEmailVerificationToken(token);
+    if (!user) {
+      return res.status(400).json({ message: "Invalid or expired verification link" });
+    }
+
+    user.markEmailVerified();
+
+    // Allow-listed users waiting only on verification are approved now
+    let approved = false;
+    if (user.role === "user" && user.status === "pending") {
+      const rules = await ApprovalRules.getRules();
+      if (rules.evaluate({ email: user.email, studentId: user.studentId }).decision === "approve") {
+        user.status = "approved";
+        user.approvedAt = new Date();
+        approved = true;
+      }
+    }
+
+    await user.save();
+
+    if (approved) {
+      dispatchNotification({ user }, "accountApproved");
+    }
+
+    res.json({ message: "Email verified successfully", emailVerified: true, status: user.status });
+  } catch (error) {
+    console.error("Verify email error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// GET /api/auth/verify-email?token=... - Verify from the emailed link
+router.get("/verify-email", verifyEmail);
+
+// POST /api/auth/verify-email
+// Body: { token: string }
+router.post("/verify-email", verifyEmail);
+
+// POST /api/auth/resend-verification
+// Body: { email: string }
+// Sends a new verification link (pending users cannot sign in yet, so this is keyed by email)
+router.post("/resend-verification", async (req, res) => {
+  try {
+    const email = (req.body.email || "").trim().toLowerCase();
+    if (!email) {
+      return res.status(400).json({ message: "Email is required" });
+    }
+
+    const genericMessage = "If an unverified account exists for this email, a new verification link has been sent.";
+
+    const user = await User.findOne({ email }).select("+emailVerificationSentAt");
+    if (!user || user.emailVerified) {
+      return res.json({ message: genericMessage });
+    }
+
+    if (user.emailVerificationSentAt && Date.now() - user.emailVerificationSentAt.getTime() < VERIFICATION_EMAIL_COOLDOWN_MS) {
+      return res.status(429).json({ message: "Please wait a minute before requesting another verification email." });
+    }
+
+    const token = user.createEmailVerificationToken();
+    await user.save();
+    enqueueEmail("verifyEmail", user.email, { name: user.name, token });
+
+    res.json({ message: genericMessage });
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
 // POST /api/auth/request-password-reset-code
 // Body: { email: string }
-// Creates a pending password reset request that appears in admin panel
+// Emails the user a single-use reset link/token. The request also appears in the admin panel,
+// where an admin can generate a code by hand if the email never arrives.
 router.post("/request-password-reset-code", async (req, res) => {
   try {
     const email = (req.body.email || "").trim().toLowerCase();
@@ -324,35 +508,49 @@ router.post("/request-password-reset-code", async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
-    // Check if there's already a pending request for this user
-    const existingRequest = await PasswordResetRequest.findOne({
+    // Reuse an open request so the admin panel shows one entry per user
+    let resetRequest = await PasswordResetRequest.findOne({
       user: user._id,
-      status: { $in: ["pending", "code_generated"] },
+      status: { $in: ["pending", "code_generated", "locked"] },
     });
 
-    if (existingRequest) {
-      // If code already generated, return success (don't reveal if code exists)
-      if (existingRequest.status === "code_generated") {
-        return res.json({
-          message: "A password reset code has already been generated. Please check with admin or wait for a new code.",
-        });
-      }
-      // If pending, return success
+    // A code an admin handed to the user stays valid until it expires or is used; anyone who
+    // knows the email address could otherwise keep replacing it
+    if (resetRequest?.method === "admin" && resetRequest.isCodeValid()) {
       return res.json({
-        message: "Password reset request submitted. Please wait for admin to generate a code.",
+        message: "An administrator has already issued a reset code for this account. Use that code or contact an admin.",
       });
     }
 
-    // Create new password reset request
-    const resetRequest = new PasswordResetRequest({
-      user: user._id,
-      status: "pending",
-    });
+    // Don't replace a code issued moments ago, however it was issued
+    if (
+      resetRequest?.status === "code_generated" &&
+      resetRequest.generatedAt &&
+      Date.now() - resetRequest.generatedAt.getTime() < RESET_EMAIL_COOLDOWN_MS
+    ) {
+      return res.json({
+        message: "A password reset code was just issued. Please check your email.",
+      });
+    }
+
+    if (!resetRequest) {
+      resetRequest = new PasswordResetRequest({ user: user._id });
+    }
 
+    const token = crypto.randomBytes(32).toString("hex");
+    const expiresAt = new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000);
+    resetRequest.setCode(token, { method: "email", expiresAt });
     await resetRequest.save();
 
+    enqueueEmail("passwordReset", user.email, {
+      name: user.name,
+      email: user.email,
+      token,
+      expiresInMinutes: RESET_TOKEN_TTL_MINUTES,
+    });
+
     return res.json({
-      message: "Password reset request submitted. Please wait for admin to generate a code.",
+      message: "Password reset link sent. Please check your email.",
     });
   } catch (error) {
     console.error("Request password reset code error:", error);
@@ -362,11 +560,11 @@ router.post("/request-password-reset-code", async (req, res) => {
 
 // POST /api/auth/reset-password-with-code
 // Body: { email: string, code: string, newPassword: string }
-// Verifies code and resets password
+// Verifies the emailed token or admin-generated code and resets password
 router.post("/reset-password-with-code", async (req, res) => {
   try {
     const email = (req.body.email || "").trim().toLowerCase();
-    const code = (req.body.code || "").trim().toUpperCase();
+    const code = (req.body.code || req.body.token || "").trim();
     const newPassword = req.body.newPassword || "";
 
     if (!email || !code || !newPassword) {
@@ -381,17 +579,21 @@ router.post("/reset-password-with-code", async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
-    // Find password reset request with matching code
     const resetRequest = await PasswordResetRequest.findOne({
       user: user._id,
-      code,
-      status: "code_generated",
-    });
+      status: { $in: ["code_generated", "locked"] },
+    }).sort({ generatedAt: -1 });
 
     if (!resetRequest) {
       return res.status(400).json({ message: "Invalid or expired reset code" });
     }
 
+    if (resetRequest.status === "locked") {
+      return res.status(423).json({
+        message: "Too many incorrect attempts. Please request a new reset link or contact an admin.",
+      });
+    }
+
     // Check if code is valid (not expired)
     if (!resetRequest.isCodeValid()) {
       resetRequest.status = "expired";
@@ -399,13 +601,27 @@ router.post("/reset-password-with-code", async (req, res) => {
       return res.status(400).json({ message: "Reset code has expired" });
     }
 
+    if (!resetRequest.matchesCode(code)) {
+      resetRequest.failedAttempts += 1;
+      if (resetRequest.failedAttempts >= MAX_RESET_ATTEMPTS) {
+        resetRequest.status = "locked";
+        resetRequest.lockedAt = new Date();
+      }
+      await resetRequest.save();
+      return res.status(400).json({ message: "Invalid or expired reset code" });
+    }
+
     // Update password (User model pre-save hook will hash it)
     user.password = newPassword;
     await user.save();
 
-    // Mark request as completed
+    // Sign out everywhere the old password was used
+    await revokeUserSessions(user._id, "password_reset");
+
+    // Mark request as completed so the code cannot be used again
     resetRequest.status = "completed";
     resetRequest.completedAt = new Date();
+    resetRequest.codeHash = null;
     await resetRequest.save();
 
     return res.json({
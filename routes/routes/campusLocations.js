@@ -0,0 +1,200 @@
+// routes/campusLocations.js
+import express from "express";
+import CampusLocation from "../models/CampusLocation.js";
+import LostItem from "../models/LostItem.js";
+import FoundItem from "../models/FoundItem.js";
+import { protect, requireRole } from "../middleware/auth.js";
+import { recordAudit } from "../utils/audit.js";
+import { escapeRegex } from "../utils/text.js";
+import { paginate } from "../utils/pagination.js";
+import { parseStatsFilters } from "../utils/stats.js";
+import { resolveLocation, invalidateLocationCatalogue, backfillItemLocations, locationHeatmap } from "../utils/locations.js";
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ["name", "building", "floor", "latitude", "longitude", "aliases", "active"];
+
+const applyFields = (location, body) => {
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] === undefined) continue;
+    if (field === "aliases") {
+      location.aliases = Array.isArray(body.aliases) ? body.aliases : String(body.aliases || "").split(",");
+    } else {
+      location[field] = body[field] === "" ? null : body[field];
+    }
+  }
+};
+
+const saveError = (error, res) => {
+  if (error.name === "ValidationError") {
+    const messages = Object.values(error.errors).map((e) => e.message).join(", ");
+    return res.status(400).json({ message: `Validation error: ${messages}` });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({ message: "A campus location with this name already exists" });
+  }
+  return null;
+};
+
+// GET /api/locations - List the campus location catalogue (public)
+// Query: q (name, building or alias), building, active ("false" lists retired entries too),
+// plus the shared pagination params - see utils/pagination.js
+router.get("/", async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active !== "false") filter.active = true;
+    if (req.query.building) filter.building = { $regex: `^${escapeRegex(String(req.query.building).trim())}$`, $options: "i" };
+    if (req.query.q) {
+      const pattern = { $regex: escapeRegex(String(req.query.q).trim()), $options: "i" };
+      filter.$or = [{ name: pattern }, { building: pattern }, { aliases: pattern }];
+    }
+
+    const { items: locations, pagination } = await paginate(CampusLocation, filter, req, {
+      sortFields: ["name", "building", "createdAt"],
+      defaultSort: "name",
+    });
+    res.json({ locations, pagination });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Error fetching campus locations:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// GET /api/locations/resolve?text=... - Preview which catalogue entry a free-text location resolves to (public)
+router.get("/resolve", async (req, res) => {
+  try {
+    const text = String(req.query.text || "").trim();
+    if (!text) {
+      return res.status(400).json({ message: "text is required" });
+    }
+
+    const match = await resolveLocation(text);
+    res.json({ text, location: match?.location || null, matchedPhrase: match?.matchedPhrase || null });
+  } catch (error) {
+    console.error("Error resolving location:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// GET /api/locations/heatmap - Lost vs found counts per catalogue location over time (public)
+// Query: dateFrom, dateTo (default: last 30 days, on dateLost/dateFound), category (comma-separated),
+// interval=day|week|month - see utils/stats.js
+router.get("/heatmap", async (req, res) => {
+  try {
+    const filters = parseStatsFilters(req.query);
+    const heatmap = await locationHeatmap(filters);
+
+    res.json({ filters: { from: filters.from, to: filters.to, categories: filters.categories, interval: filters.interval }, ...heatmap });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Error building location heatmap:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// POST /api/locations/backfill - Resolve the stored items' locations against the current catalogue (admin only)
+// Body: { all?: boolean } - by default only items without a catalogue entry are checked
+router.post("/backfill", protect, requireRole("admin"), async (req, res) => {
+  try {
+    invalidateLocationCatalogue();
+    const result = await backfillItemLocations({ all: Boolean(req.body?.all) });
+    await recordAudit(req, { action: "campusLocation.backfill", targetType: "CampusLocation", metadata: result });
+
+    res.json({ message: "Item locations resolved", ...result });
+  } catch (error) {
+    console.error("Error backfilling item locations:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// GET /api/locations/:id - One catalogue entry (public)
+router.get("/:id", async (req, res) => {
+  try {
+    const location = await CampusLocation.findById(req.params.id);
+    if (!location) return res.status(404).json({ message: "Campus location not found" });
+
+    res.json({ location });
+  } catch (error) {
+    console.error("Error fetching campus location:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// POST /api/locations - Add a catalogue entry (admin only)
+// Body: { name, building, floor?, latitude?, longitude?, aliases?: string[] }
+router.post("/", protect, requireRole("admin"), async (req, res) => {
+  try {
+    const location = new CampusLocation({ createdBy: req.user._id, updatedBy: req.user._id });
+    applyFields(location, req.body);
+    await location.save();
+    invalidateLocationCatalogue();
+    await recordAudit(req, { action: "campusLocation.create", targetType: "CampusLocation", after: location });
+
+    res.status(201).json({ message: "Campus location created", location });
+  } catch (error) {
+    if (saveError(error, res)) return;
+    console.error("Error creating campus location:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// PUT /api/locations/:id - Edit a catalogue entry (admin only)
+// Body: any of { name, building, floor, latitude, longitude, aliases, active }. Existing items keep
+// their entry; run POST /api/locations/backfill to re-resolve them against new aliases.
+router.put("/:id", protect, requireRole("admin"), async (req, res) => {
+  try {
+    const location = await CampusLocation.findById(req.params.id);
+    if (!location) return res.status(404).json({ message: "Campus location not found" });
+
+    const before = location.toObject();
+    applyFields(location, req.body);
+    location.updatedBy = req.user._id;
+    await location.save();
+    invalidateLocationCatalogue();
+    await recordAudit(req, { action: "campusLocation.update", targetType: "CampusLocation", before, after: location });
+
+    res.json({ message: "Campus location updated", location });
+  } catch (error) {
+    if (saveError(error, res)) return;
+    console.error("Error updating campus location:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// DELETE /api/locations/:id - Remove a catalogue entry (admin only)
+// Entries that items already resolved to are retired (active: false) instead of deleted
+router.delete("/:id", protect, requireRole("admin"), async (req, res) => {
+  try {
+    const location = await CampusLocation.findById(req.params.id);
+    if (!location) return res.status(404).json({ message: "Campus location not found" });
+
+    const [lostReferenced, foundReferenced] = await Promise.all([
+      LostItem.exists({ campusLocation: location._id }).setOptions({ withDeleted: true }),
+      FoundItem.exists({ campusLocation: location._id }).setOptions({ withDeleted: true }),
+    ]);
+    if (lostReferenced || foundReferenced) {
+      const before = location.toObject();
+      location.active = false;
+      location.updatedBy = req.user._id;
+      await location.save();
+      invalidateLocationCatalogue();
+      await recordAudit(req, { action: "campusLocation.retire", targetType: "CampusLocation", before, after: location });
+      return res.json({ message: "Campus location retired; items that resolved to it keep it", location });
+    }
+
+    await location.deleteOne();
+    invalidateLocationCatalogue();
+    await recordAudit(req, { action: "campusLocation.delete", targetType: "CampusLocation", before: location });
+    res.json({ message: "Campus location deleted" });
+  } catch (error) {
+    console.error("Error deleting campus location:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+export default router;
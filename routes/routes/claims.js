@@ -1,69 +1,191 @@
 // routes/claims.js
 import express from "express";
-import Claim from "../models/Claim.js";
-import User from "../models/User.js";
-import jwt from "jsonwebtoken";
-import { protect, requireRole } from "../middleware/auth.js";
+import Claim, { CLAIM_OPEN_STATUSES, HANDOVER_ID_TYPES } from "../models/Claim.js";
+import ClaimMessage from "../models/ClaimMessage.js";
+import FoundItem, { FOUND_ITEM_CLOSED_STATUSES } from "../models/FoundItem.js";
+import { scheduleMatching } from "../utils/matching.js";
+import { dispatchNotification } from "../utils/notifications.js";
+import { recordAudit } from "../utils/audit.js";
+import { protect, requireRole, optionalAuth } from "../middleware/auth.js";
+import { paginate, buildListFilters, parseObjectId } from "../utils/pagination.js";
+import { normalizeAnswers, compareAnswers } from "../utils/verification.js";
+import { uploadEvidence, uploadSignature } from "../middleware/upload.js";
+import { destroyImages } from "../../config/cloudinary.js";
+import { serializeClaim, USER_CONTACT_FIELDS } from "../utils/serializers.js";
 
 const router = express.Router();
 
+const MAX_ATTACHMENTS_PER_UPLOAD = 5;
+const MAX_ATTACHMENTS_PER_CLAIM = 10;
+const MAX_PICKUP_SLOTS = 20;
+
+// Run a multer upload in front of a route. Upload errors become 400s, and files uploaded for a
+// request that ends up failing are removed from Cloudinary again so rejected submissions leave nothing behind.
+const acceptUploads = (handler, { maxSize, tooMany }) => (req, res, next) => {
+  handler(req, res, (error) => {
+    if (error) {
+      if (error.code === "LIMIT_FILE_SIZE") {
+        return res.status(400).json({ message: `File too large (max ${maxSize})` });
+      }
+      if (error.code === "LIMIT_FILE_COUNT" || error.code === "LIMIT_UNEXPECTED_FILE") {
+        return res.status(400).json({ message: tooMany });
+      }
+      if (/^Only image/.test(error.message)) {
+        return res.status(400).json({ message: error.message });
+      }
+      return next(error);
+    }
+
+    res.on("finish", () => {
+      const files = req.files || (req.file ? [req.file] : []);
+      if (res.statusCode < 400 || !files.length) return;
+      destroyImages(files.map((file) => file.path)).catch((err) => {
+        console.error("Error deleting rejected claim uploads:", err);
+      });
+    });
+    next();
+  });
+};
+
+const acceptEvidenceFiles = acceptUploads(uploadEvidence.array("attachments", MAX_ATTACHMENTS_PER_UPLOAD), {
+  maxSize: "10MB",
+  tooMany: `Attach at most ${MAX_ATTACHMENTS_PER_UPLOAD} files in the "attachments" field`,
+});
+
+const acceptSignature = acceptUploads(uploadSignature.single("signature"), {
+  maxSize: "2MB",
+  tooMany: "Attach a single signature image in the \"signature\" field",
+});
+
+// Attachment records for the files multer stored on this request
+const toAttachments = (files = [], uploadedBy = null) =>
+  files.map((file) => ({
+    url: file.path || file.secure_url || file.url,
+    fileName: file.originalname,
+    mimeType: file.mimetype,
+    size: file.size,
+    uploadedBy,
+  }));
+
+// Multipart forms send structured fields as JSON strings
+const parseJsonField = (value) => {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch (_) {
+    return value;
+  }
+};
+
 // GET /api/claims - Fetch claims (staff/admin see all, users see their own)
+// Query: status, reporter (claimant id), item, dateFrom, dateTo (submitted), category and location (of the claimed item),
+// plus the shared pagination params (limit, page | cursor, sort) - see utils/pagination.js
 router.get("/", protect, async (req, res) => {
   try {
-    const query = {};
+    const query = buildListFilters(req.query, { reporterField: "claimant", locationField: null, category: false });
+    if (req.query.item) query.item = parseObjectId(req.query.item, "item");
+
+    // Category/location belong to the claimed item, so resolve them to item ids first
+    const itemFilter = buildListFilters(
+      { category: req.query.category, location: req.query.location },
+      { dateField: null }
+    );
+    if (Object.keys(itemFilter).length > 0) {
+      const itemIds = await FoundItem.find(itemFilter).setOptions({ withDeleted: true }).distinct("_id");
+      query.item = query.item ? { $in: itemIds.filter((id) => id.equals(query.item)) } : { $in: itemIds };
+    }
 
     // Regular users can only see their own claims
     if (req.user.role === "user") {
       query.claimant = req.user._id;
     }
 
-    const claims = await Claim.find(query)
-      .populate("claimant", "name email studentId phone")
-      .populate("reviewedBy", "name email")
-      .populate({
-        path: "item",
-        select: "title description category uniqueIdentifier contactEmail contactPhone",
-        populate: {
-          path: "foundBy",
-          select: "name email phone"
-        }
-      })
-      .sort({ createdAt: -1 });
+    const { items: claims, pagination } = await paginate(Claim, query, req, {
+      sortFields: ["createdAt", "updatedAt", "reviewedAt", "status"],
+      build: (q) =>
+        q
+          .populate("claimant", USER_CONTACT_FIELDS)
+          .populate("reviewedBy", "name email")
+          .populate({
+            path: "item",
+            // Keep showing items that have since been moved to the trash
+            options: { withDeleted: true },
+            select: "title description category uniqueIdentifier contactEmail contactPhone status",
+            populate: {
+              path: "foundBy",
+              select: USER_CONTACT_FIELDS
+            }
+          }),
+    });
 
-    res.json({ claims });
+    res.json({ claims: claims.map((claim) => serializeClaim(claim, req.user)), pagination });
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error("Error fetching claims:", error);
     res.status(500).json({ message: "Internal server error" });
   }
 });
 
+// Verification questions of a claimed item, including the expected answers (staff only)
+const loadQuestions = async (itemId) => {
+  const item = await FoundItem.findById(itemId)
+    .setOptions({ withDeleted: true })
+    .select("verificationQuestions +verificationQuestions.expectedAnswer");
+  return item?.verificationQuestions || [];
+};
+
+// Side-by-side view of a claim's answers against the item's expected answers (staff only)
+const buildVerification = async (claim) =>
+  compareAnswers(await loadQuestions(claim.item?._id || claim.item), claim.verificationAnswers || []);
+
 // POST /api/claims - Create new claim (public; associates claimant if authenticated)
-router.post("/", async (req, res) => {
+// Body: { item, ownershipProof, verificationAnswers?: [{ questionId, answer }] | { [questionId]: answer } }
+// Answers are required for every verification question on the item (see GET /api/found-items/:id/verification-questions)
+// Send as multipart/form-data to attach up to 5 images or PDFs as "attachments" (verificationAnswers as a JSON string)
+router.post("/", optionalAuth, acceptEvidenceFiles, async (req, res) => {
   try {
-    const { item, ownershipProof, verificationAnswers } = req.body;
+    const { item, ownershipProof } = req.body;
+    const verificationAnswers = parseJsonField(req.body.verificationAnswers);
 
     // Validate required fields
     if (!item || !ownershipProof) {
       return res.status(400).json({ message: "Missing required fields" });
     }
 
-    // Attempt to attach claimant if an auth token was provided (non-intrusive)
-    let claimantId = null;
-    const authHeader = req.headers.authorization;
-    if (authHeader?.startsWith("Bearer ")) {
-      const token = authHeader.split(" ")[1];
-      try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const user = await User.findById(decoded.id).select("_id");
-        if (user) claimantId = user._id;
-      } catch (_) {
-        claimantId = null;
-      }
+    const foundItem = await FoundItem.findById(parseObjectId(item, "item id"));
+    if (!foundItem) {
+      return res.status(404).json({ message: "Found item not found" });
+    }
+
+    if (FOUND_ITEM_CLOSED_STATUSES.includes(foundItem.status)) {
+      return res.status(400).json({ message: `This item has already been ${foundItem.status} and can no longer be claimed` });
     }
 
+    if (await Claim.exists({ item: foundItem._id, status: "approved" })) {
+      return res.status(400).json({ message: "A claim for this item has already been approved" });
+    }
+
+    // Every verification question needs a non-empty answer; answers to unknown questions are ignored
+    const submittedAnswers = normalizeAnswers(verificationAnswers);
+    const answers = [];
+    const unanswered = [];
+    for (const question of foundItem.verificationQuestions) {
+      const given = submittedAnswers.find((entry) => entry.questionId === question._id.toString());
+      if (given?.answer) answers.push({ questionId: question._id, question: question.question, answer: given.answer });
+      else unanswered.push({ questionId: question._id, question: question.question });
+    }
+    if (unanswered.length > 0) {
+      return res.status(400).json({ message: "Please answer all verification questions", unanswered });
+    }
+
+    // Signed-in claimant, if any (set by optionalAuth)
+    const claimantId = req.user?._id || null;
+
     // If authenticated, ensure no duplicate pending claim by same user
     if (claimantId) {
-      const existingClaim = await Claim.findOne({ item, claimant: claimantId, status: "pending" });
+      const existingClaim = await Claim.findOne({ item, claimant: claimantId, status: { $in: CLAIM_OPEN_STATUSES } });
       if (existingClaim) {
         return res.status(400).json({ message: "You already have a pending claim for this item" });
       }
@@ -71,10 +193,9 @@ router.post("/", async (req, res) => {
 
     let claimantName = undefined;
     let claimantEmail = undefined;
-    if (claimantId) {
-      const user = await User.findById(claimantId).select("name email");
-      claimantName = user?.name;
-      claimantEmail = user?.email;
+    if (req.user) {
+      claimantName = req.user.name;
+      claimantEmail = req.user.email;
     } else if (req.body.claimantName || req.body.claimantEmail) {
       claimantName = req.body.claimantName;
       claimantEmail = req.body.claimantEmail;
@@ -86,65 +207,650 @@ router.post("/", async (req, res) => {
       claimantName,
       claimantEmail,
       ownershipProof,
-      verificationAnswers,
+      verificationAnswers: answers,
+      attachments: toAttachments(req.files, claimantId),
     });
 
     await claim.save();
+    await recordAudit(req, { action: "claim.create", targetType: "Claim", after: claim, actor: claimantId });
+
+    // First claim on an item puts it on hold at the desk
+    if (foundItem.status !== "claim_pending") {
+      foundItem.transitionTo("claim_pending", claimantId, "Claim submitted");
+      await foundItem.save();
+    }
+
+    dispatchNotification({ user: claimantId, email: claimantEmail }, "claimSubmitted", {
+      name: claimantName,
+      itemTitle: foundItem.title,
+      claimId: claim._id,
+      itemId: foundItem._id,
+    });
 
     // Populate the response
-    await claim.populate("claimant", "name email studentId phone");
+    await claim.populate("claimant", USER_CONTACT_FIELDS);
     await claim.populate({
       path: "item",
-      select: "title description category uniqueIdentifier contactEmail contactPhone",
+      options: { withDeleted: true },
+      select: "title description category uniqueIdentifier contactEmail contactPhone status",
       populate: {
         path: "foundBy",
-        select: "name email phone"
+        select: USER_CONTACT_FIELDS
       }
     });
 
-    res.status(201).json({ message: "Claim submitted successfully", claim });
+    // Claimants see the claimed item without the finder's contact details
+    res.status(201).json({ message: "Claim submitted successfully", claim: serializeClaim(claim, null) });
   } catch (error) {
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((e) => e.message).join(", ");
+      return res.status(400).json({ message: `Validation error: ${messages}` });
+    }
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error("Error creating claim:", error);
     res.status(500).json({ message: "Internal server error" });
   }
 });
 
-// PATCH /api/claims/:id - Update claim status (staff/admin only)
+// GET /api/claims/:id/verification - Compare a claim's answers with the expected ones (staff/admin only)
+// Each question carries a similarity (0..1) and a hint ("strong" | "partial" | "weak" | "none") to guide the reviewer
+router.get("/:id/verification", protect, requireRole("staff", "admin"), async (req, res) => {
+  try {
+    const claim = await Claim.findById(req.params.id);
+    if (!claim) {
+      return res.status(404).json({ message: "Claim not found" });
+    }
+
+    res.json({ claimId: claim._id, ownershipProof: claim.ownershipProof, verification: await buildVerification(claim) });
+  } catch (error) {
+    console.error("Error comparing claim answers:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// GET /api/claims/:id/competing - A claim together with every other claim on the same item (staff/admin only)
+// Each claim carries its verification comparison so reviewers can weigh them side by side
+router.get("/:id/competing", protect, requireRole("staff", "admin"), async (req, res) => {
+  try {
+    const claim = await Claim.findById(req.params.id);
+    if (!claim) {
+      return res.status(404).json({ message: "Claim not found" });
+    }
+
+    const [item, claims, questions] = await Promise.all([
+      FoundItem.findById(claim.item).setOptions({ withDeleted: true }).select("title category location dateFound status"),
+      Claim.find({ item: claim.item })
+        .populate("claimant", USER_CONTACT_FIELDS)
+        .populate("reviewedBy", "name email")
+        .sort({ createdAt: 1 }),
+      loadQuestions(claim.item),
+    ]);
+
+    res.json({
+      item,
+      claims: claims.map((entry) => ({
+        ...entry.toObject(),
+        isSelected: entry._id.equals(claim._id),
+        verification: compareAnswers(questions, entry.verificationAnswers),
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching competing claims:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// POST /api/claims/:id/evidence - Add evidence to your own claim while it is under review (claimant only)
+// Body: { text?: string } plus optional "attachments" files (multipart, images or PDFs); at least one is required.
+// Answering a "request more info" puts the claim back in the review queue.
+router.post("/:id/evidence", protect, acceptEvidenceFiles, async (req, res) => {
+  try {
+    const text = String(req.body.text || "").trim();
+    const files = req.files || [];
+    if (!text && files.length === 0) {
+      return res.status(400).json({ message: "Add evidence text or at least one attachment" });
+    }
+
+    const claim = await Claim.findOne({ _id: req.params.id, claimant: req.user._id });
+    if (!claim) {
+      return res.status(404).json({ message: "Claim not found" });
+    }
+
+    if (!["pending", "info_requested"].includes(claim.status)) {
+      return res.status(400).json({ message: "Evidence can only be added while the claim is under review" });
+    }
+
+    if (claim.attachments.length + files.length > MAX_ATTACHMENTS_PER_CLAIM) {
+      return res.status(400).json({ message: `A claim can have at most ${MAX_ATTACHMENTS_PER_CLAIM} attachments` });
+    }
+
+    const before = claim.toObject();
+    if (text) claim.evidence.push({ text, addedBy: req.user._id });
+    claim.attachments.push(...toAttachments(files, req.user._id));
+    if (claim.status === "info_requested") claim.status = "pending";
+    await claim.save();
+    await recordAudit(req, { action: "claim.evidence.add", targetType: "Claim", before, after: claim });
+
+    res.status(201).json({ message: "Evidence added", claim });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((e) => e.message).join(", ");
+      return res.status(400).json({ message: `Validation error: ${messages}` });
+    }
+    console.error("Error adding claim evidence:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+const isStaff = (user) => user.role === "staff" || user.role === "admin";
+
+// Load a claim the current user takes part in: its claimant, or any staff member/admin
+const findParticipantClaim = async (req, select = "") => {
+  const claim = await Claim.findById(req.params.id)
+    .select(select)
+    .populate({ path: "item", options: { withDeleted: true }, select: "title" });
+  if (!claim) return null;
+  if (isStaff(req.user)) return claim;
+  return claim.claimant?.equals(req.user._id) ? claim : null;
+};
+
+// GET /api/claims/:id/messages - Conversation between staff and the claimant (claimant or staff/admin)
+// Authors are shown by name and side only, never by email. Reading marks the other side's messages as read.
+router.get("/:id/messages", protect, async (req, res) => {
+  try {
+    const claim = await findParticipantClaim(req);
+    if (!claim) {
+      return res.status(404).json({ message: "Claim not found" });
+    }
+
+    const viewerRole = req.user.role === "user" ? "claimant" : "staff";
+    await ClaimMessage.updateMany(
+      { claim: claim._id, authorRole: { $ne: viewerRole }, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    const messages = await ClaimMessage.find({ claim: claim._id })
+      .populate("author", "name role")
+      .sort({ createdAt: 1 });
+
+    res.json({ claimId: claim._id, messages });
+  } catch (error) {
+    console.error("Error fetching claim messages:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// POST /api/claims/:id/messages - Send a message on a claim (claimant or staff/admin)
+// Body: { body: string }. The other side is notified in-app and by email, without either address being revealed.
+router.post("/:id/messages", protect, async (req, res) => {
+  try {
+    const claim = await findParticipantClaim(req);
+    if (!claim) {
+      return res.status(404).json({ message: "Claim not found" });
+    }
+
+    const authorRole = req.user.role === "user" ? "claimant" : "staff";
+    if (authorRole === "staff" && !claim.claimant) {
+      return res.status(400).json({ message: "This claim was submitted without an account, so there is no one to message" });
+    }
+
+    const message = await ClaimMessage.create({
+      claim: claim._id,
+      author: req.user._id,
+      authorRole,
+      body: req.body.body,
+    });
+    await message.populate("author", "name role");
+
+    const notificationData = {
+      itemTitle: claim.item?.title,
+      authorName: authorRole === "staff" ? "Lost & found staff" : claim.claimantName,
+      claimId: claim._id,
+      itemId: claim.item?._id,
+    };
+    if (authorRole === "staff") {
+      dispatchNotification({ user: claim.claimant }, "claimMessage", notificationData);
+    } else if (claim.reviewedBy) {
+      // Replies go to the staff member handling the claim; unassigned claims show up in the review queue
+      dispatchNotification({ user: claim.reviewedBy }, "claimMessage", notificationData);
+    }
+
+    res.status(201).json({ message: "Message sent", claimMessage: message });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((e) => e.message).join(", ");
+      return res.status(400).json({ message: `Validation error: ${messages}` });
+    }
+    console.error("Error sending claim message:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Pickup details as shown to either side; the claimant also gets the handover code and QR payload
+const describePickup = (claim, { forClaimant = false } = {}) => {
+  const pickup = claim.pickup?.toObject ? claim.pickup.toObject() : claim.pickup;
+  const bookedSlot = pickup?.bookedSlot ? pickup.slots.find((slot) => slot._id.equals(pickup.bookedSlot)) || null : null;
+  return {
+    claimId: claim._id,
+    claimStatus: claim.status,
+    pickup: pickup ? { ...pickup, bookedSlot } : null,
+    ...(forClaimant && claim.status === "approved" && claim.handoverCode
+      ? { handoverCode: claim.handoverCode, qrPayload: claim.handoverQrPayload() }
+      : {}),
+  };
+};
+
+// Validate offered slots: [{ startsAt, endsAt }] in the future, each ending after it starts
+const parseSlots = (slots) => {
+  if (!Array.isArray(slots) || slots.length === 0) {
+    throw Object.assign(new Error("Offer at least one slot as [{ startsAt, endsAt }]"), { status: 400 });
+  }
+  if (slots.length > MAX_PICKUP_SLOTS) {
+    throw Object.assign(new Error(`Offer at most ${MAX_PICKUP_SLOTS} slots at a time`), { status: 400 });
+  }
+  return slots
+    .map(({ startsAt, endsAt } = {}) => {
+      const slot = { startsAt: new Date(startsAt), endsAt: new Date(endsAt) };
+      if (Number.isNaN(slot.startsAt.getTime()) || Number.isNaN(slot.endsAt.getTime())) {
+        throw Object.assign(new Error("Each slot needs a valid startsAt and endsAt"), { status: 400 });
+      }
+      if (slot.endsAt <= slot.startsAt) {
+        throw Object.assign(new Error("A slot must end after it starts"), { status: 400 });
+      }
+      if (slot.startsAt <= new Date()) {
+        throw Object.assign(new Error("Slots must be in the future"), { status: 400 });
+      }
+      return slot;
+    })
+    .sort((a, b) => a.startsAt - b.startsAt);
+};
+
+// GET /api/claims/:id/pickup - Pickup status of an approved claim (claimant or staff/admin)
+// The claimant also receives the handover code and a QR payload encoding it, to present at the desk
+router.get("/:id/pickup", protect, async (req, res) => {
+  try {
+    const claim = await findParticipantClaim(req, "+handoverCode");
+    if (!claim) {
+      return res.status(404).json({ message: "Claim not found" });
+    }
+
+    await claim.populate("pickup.completedBy", "name");
+    res.json(describePickup(claim, { forClaimant: claim.claimant?.equals(req.user._id) }));
+  } catch (error) {
+    console.error("Error fetching claim pickup:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// PUT /api/claims/:id/pickup/slots - Offer pickup slots for an approved claim (staff/admin only)
+// Body: { collectionPoint?, slots: [{ startsAt, endsAt }] }. Replaces earlier offers and clears any booking.
+router.put("/:id/pickup/slots", protect, requireRole("staff", "admin"), async (req, res) => {
+  try {
+    const slots = parseSlots(req.body.slots);
+    const claim = await Claim.findById(req.params.id).select("+handoverCode").populate({
+      path: "item",
+      options: { withDeleted: true },
+      select: "title",
+    });
+    if (!claim) {
+      return res.status(404).json({ message: "Claim not found" });
+    }
+    if (claim.status !== "approved") {
+      return res.status(400).json({ message: "Pickup can only be arranged for approved claims" });
+    }
+    if (claim.pickup?.status === "completed") {
+      return res.status(400).json({ message: "The item has already been handed over" });
+    }
+
+    const collectionPoint = String(req.body.collectionPoint || claim.pickup?.collectionPoint || "").trim();
+    if (!collectionPoint) {
+      return res.status(400).json({ message: "collectionPoint is required" });
+    }
+
+    const before = claim.toObject({ depopulate: true });
+    // Claims approved before pickups existed have no handover code yet
+    if (!claim.pickup?.status || !claim.handoverCode) claim.startPickup();
+    claim.pickup.status = "offered";
+    claim.pickup.collectionPoint = collectionPoint;
+    claim.pickup.slots = slots;
+    claim.pickup.slotsOfferedBy = req.user._id;
+    claim.pickup.slotsOfferedAt = new Date();
+    claim.pickup.bookedSlot = null;
+    claim.pickup.bookedAt = null;
+    await claim.save();
+    await recordAudit(req, { action: "claim.pickup.offer", targetType: "Claim", before, after: claim });
+
+    dispatchNotification({ user: claim.claimant, email: claim.claimantEmail }, "pickupSlotsOffered", {
+      name: claim.claimantName,
+      itemTitle: claim.item?.title,
+      collectionPoint,
+      slots: claim.pickup.slots.map(({ startsAt, endsAt }) => ({ startsAt, endsAt })),
+      claimId: claim._id,
+      itemId: claim.item?._id,
+    });
+
+    res.json({ message: "Pickup slots offered", ...describePickup(claim) });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Error offering pickup slots:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// POST /api/claims/:id/pickup/book - Book one of the offered slots (claimant, or staff booking on their behalf)
+// Body: { slotId }. Booking again moves the appointment to the new slot.
+router.post("/:id/pickup/book", protect, async (req, res) => {
+  try {
+    const claim = await findParticipantClaim(req, "+handoverCode");
+    if (!claim) {
+      return res.status(404).json({ message: "Claim not found" });
+    }
+    if (claim.status !== "approved" || !["offered", "booked"].includes(claim.pickup?.status)) {
+      return res.status(400).json({ message: "There are no pickup slots to book for this claim" });
+    }
+
+    const slot = claim.pickup.slots.id(req.body.slotId);
+    if (!slot) {
+      return res.status(400).json({ message: "Unknown slot" });
+    }
+    if (slot.startsAt <= new Date()) {
+      return res.status(400).json({ message: "This slot has already started; choose a later one" });
+    }
+
+    const before = claim.toObject({ depopulate: true });
+    claim.pickup.status = "booked";
+    claim.pickup.bookedSlot = slot._id;
+    claim.pickup.bookedAt = new Date();
+    await claim.save();
+    await recordAudit(req, { action: "claim.pickup.book", targetType: "Claim", before, after: claim });
+
+    dispatchNotification({ user: claim.claimant, email: claim.claimantEmail }, "pickupBooked", {
+      name: claim.claimantName,
+      itemTitle: claim.item?.title,
+      collectionPoint: claim.pickup.collectionPoint,
+      startsAt: slot.startsAt,
+      endsAt: slot.endsAt,
+      handoverCode: claim.handoverCode,
+      claimId: claim._id,
+      itemId: claim.item?._id,
+    });
+
+    res.json({ message: "Pickup booked", ...describePickup(claim, { forClaimant: claim.claimant?.equals(req.user._id) }) });
+  } catch (error) {
+    console.error("Error booking pickup:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// POST /api/claims/:id/pickup/complete - Record the handover at the desk (staff/admin only)
+// Body (multipart/form-data): { code, idDocumentType, idReference?, notes? } plus an optional "signature" image.
+// The code is the one the claimant presents (typed or scanned from the QR). Walk-ins without a booking are allowed.
+// Completing the handover is what moves the found item to "returned".
+router.post("/:id/pickup/complete", protect, requireRole("staff", "admin"), acceptSignature, async (req, res) => {
+  try {
+    const { code, idDocumentType, idReference, notes } = req.body;
+    if (!HANDOVER_ID_TYPES.includes(idDocumentType)) {
+      return res.status(400).json({ message: `Record the ID checked: idDocumentType must be one of ${HANDOVER_ID_TYPES.join(", ")}` });
+    }
+
+    const claim = await Claim.findById(req.params.id).select("+handoverCode");
+    if (!claim) {
+      return res.status(404).json({ message: "Claim not found" });
+    }
+    if (claim.status !== "approved" || !claim.pickup?.status || claim.pickup.status === "cancelled") {
+      return res.status(400).json({ message: "Only approved claims can be handed over" });
+    }
+    if (claim.pickup.status === "completed") {
+      return res.status(400).json({ message: "The item has already been handed over" });
+    }
+    if (!claim.matchesHandoverCode(code)) {
+      return res.status(400).json({ message: "Handover code does not match" });
+    }
+
+    const foundItem = await FoundItem.findById(claim.item);
+    if (!foundItem) {
+      return res.status(404).json({ message: "Found item not found" });
+    }
+    if (!foundItem.canTransitionTo("returned")) {
+      return res.status(400).json({ message: `Cannot move item from "${foundItem.status}" to "returned"` });
+    }
+
+    const before = claim.toObject();
+    claim.pickup.status = "completed";
+    claim.pickup.completedAt = new Date();
+    claim.pickup.completedBy = req.user._id;
+    claim.pickup.idCheck = { documentType: idDocumentType, reference: idReference ? String(idReference).trim() : null };
+    claim.pickup.signatureUrl = req.file?.path || null;
+    claim.pickup.notes = notes ? String(notes).trim() : null;
+    await claim.save();
+
+    foundItem.transitionTo("returned", req.user._id, "Handed over to claimant");
+    await foundItem.save();
+    await recordAudit(req, {
+      action: "claim.handover",
+      targetType: "Claim",
+      before,
+      after: claim,
+      metadata: { item: foundItem._id, idDocumentType },
+    });
+    scheduleMatching("found", foundItem);
+
+    dispatchNotification({ user: claim.claimant, email: claim.claimantEmail }, "handoverCompleted", {
+      name: claim.claimantName,
+      itemTitle: foundItem.title,
+      completedAt: claim.pickup.completedAt,
+      claimId: claim._id,
+      itemId: foundItem._id,
+    });
+
+    await claim.populate("pickup.completedBy", "name");
+    res.json({ message: "Item handed over", ...describePickup(claim), itemStatus: foundItem.status });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((e) => e.message).join(", ");
+      return res.status(400).json({ message: `Validation error: ${messages}` });
+    }
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Error completing handover:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+const REVIEW_NOTIFICATIONS = {
+  approved: "claimApproved",
+  rejected: "claimRejected",
+  info_requested: "claimInfoRequested",
+  on_hold: "claimOnHold",
+};
+
+// PATCH /api/claims/:id - Review a claim (staff/admin only)
+// Body: { status: "approved" | "rejected" | "info_requested", reviewNotes?, siblingAction?: "reject" | "hold", siblingReason? }
+// Approving resolves every other open claim on the item (rejected by default, or put on hold) and notifies them.
+// It also starts the pickup workflow; the item stays claim_pending until the handover is completed
+// (POST /api/claims/:id/pickup/complete). Rejecting an approved claim cancels its pickup.
+// info_requested needs reviewNotes describing what the claimant should add.
+// Only one claim per item can be approved; a concurrent second approval gets 409.
+// The response includes the answer comparison from GET /api/claims/:id/verification
 router.patch("/:id", protect, requireRole("staff", "admin"), async (req, res) => {
   try {
     const { id } = req.params;
-    const { status, reviewNotes } = req.body;
+    const { status, reviewNotes, siblingAction = "reject", siblingReason } = req.body;
 
-    if (!["approved", "rejected"].includes(status)) {
+    if (!["approved", "rejected", "info_requested"].includes(status)) {
       return res.status(400).json({ message: "Invalid status" });
     }
+    if (!["reject", "hold"].includes(siblingAction)) {
+      return res.status(400).json({ message: "siblingAction must be \"reject\" or \"hold\"" });
+    }
+    if (status === "info_requested" && !String(reviewNotes || "").trim()) {
+      return res.status(400).json({ message: "Describe the information needed in reviewNotes" });
+    }
 
-    const claim = await Claim.findById(id).populate("item");
+    // Trashed items are loaded too, so their claims are refused instead of reviewed as if the item were gone
+    const claim = await Claim.findById(id).populate({ path: "item", options: { withDeleted: true } });
     if (!claim) {
       return res.status(404).json({ message: "Claim not found" });
     }
+    if (claim.item?.deletedAt) {
+      return res.status(400).json({ message: "The item is in the trash; restore it before reviewing its claims" });
+    }
+
+    if (claim.status === status) {
+      return res.status(400).json({ message: `Claim is already ${status}` });
+    }
+    if (!claim.canTransitionTo(status)) {
+      return res.status(400).json({ message: `Cannot move claim from "${claim.status}" to "${status}"` });
+    }
+
+    // Work out where the claimed item and competing claims move before touching anything
+    const foundItem = claim.item;
+    const siblings = foundItem ? await Claim.find({ item: foundItem._id, _id: { $ne: claim._id } }) : [];
+    const openSiblings = siblings.filter((sibling) => CLAIM_OPEN_STATUSES.includes(sibling.status));
+    let itemTransition = null;
+    if (foundItem) {
+      if (status === "approved") {
+        if (FOUND_ITEM_CLOSED_STATUSES.includes(foundItem.status)) {
+          return res.status(400).json({ message: `The item has already been ${foundItem.status}; no claim can be approved` });
+        }
+        if (siblings.some((sibling) => sibling.status === "approved")) {
+          return res.status(409).json({ message: "Another claim for this item has already been approved" });
+        }
+        if (foundItem.status !== "claim_pending") {
+          // Items claimed before the lifecycle existed have no pending step yet
+          foundItem.transitionTo("claim_pending", req.user._id, "Claim under review");
+        }
+      } else if (status === "rejected") {
+        if (claim.status === "approved" && foundItem.status === "returned") {
+          return res.status(400).json({ message: "The item has already been returned; this claim can no longer be rejected" });
+        }
+        // Other open claims (including ones held by this approval) keep the item on hold
+        if (foundItem.status === "claim_pending" && openSiblings.length === 0) {
+          itemTransition = { status: "in_storage", note: "Claim rejected" };
+        }
+      }
+
+      if (itemTransition && !foundItem.canTransitionTo(itemTransition.status)) {
+        return res.status(400).json({
+          message: `Cannot move item from "${foundItem.status}" to "${itemTransition.status}"`,
+        });
+      }
+    }
+
+    const before = claim.toObject({ depopulate: true });
 
     // Update claim
     claim.status = status;
     claim.reviewedBy = req.user._id;
     claim.reviewedAt = new Date();
     claim.reviewNotes = reviewNotes;
+    if (status === "info_requested") {
+      claim.infoRequest = { message: reviewNotes.trim(), requestedBy: req.user._id, requestedAt: new Date() };
+    }
+    if (status === "approved") {
+      claim.startPickup();
+    } else if (before.status === "approved" && claim.pickup?.status) {
+      claim.pickup.status = "cancelled";
+      claim.handoverCode = null;
+    }
 
     await claim.save();
+    await recordAudit(req, {
+      action: "claim.review",
+      targetType: "Claim",
+      before,
+      after: claim,
+      metadata: { item: foundItem?._id, itemStatus: itemTransition?.status || foundItem?.status },
+    });
+
+    // Resolve the competing claims
+    const resolved = [];
+    if (status === "approved") {
+      const reason = String(siblingReason || "").trim() || "Another claim for this item was approved";
+      for (const sibling of openSiblings) {
+        const siblingBefore = sibling.toObject();
+        sibling.status = siblingAction === "hold" ? "on_hold" : "rejected";
+        sibling.reviewedBy = req.user._id;
+        sibling.reviewedAt = new Date();
+        sibling.reviewNotes = reason;
+        sibling.resolvedByClaim = claim._id;
+        await sibling.save();
+        await recordAudit(req, {
+          action: "claim.autoResolve",
+          targetType: "Claim",
+          before: siblingBefore,
+          after: sibling,
+          metadata: { approvedClaim: claim._id },
+        });
+        resolved.push(sibling);
+      }
+    } else if (before.status === "approved") {
+      // Approval withdrawn: claims held because of it go back into the queue
+      for (const sibling of siblings) {
+        if (sibling.status !== "on_hold" || !sibling.resolvedByClaim?.equals(claim._id)) continue;
+        const siblingBefore = sibling.toObject();
+        sibling.status = "pending";
+        sibling.resolvedByClaim = null;
+        await sibling.save();
+        await recordAudit(req, {
+          action: "claim.autoResolve",
+          targetType: "Claim",
+          before: siblingBefore,
+          after: sibling,
+          metadata: { withdrawnClaim: claim._id },
+        });
+      }
+    }
+
+    if (foundItem && itemTransition) {
+      foundItem.transitionTo(itemTransition.status, req.user._id, itemTransition.note);
+      await foundItem.save();
+      scheduleMatching("found", foundItem);
+    } else if (foundItem && foundItem.isModified()) {
+      await foundItem.save();
+    }
     await claim.populate("reviewedBy", "name email");
-    await claim.populate("claimant", "name email studentId phone");
+    await claim.populate("claimant", USER_CONTACT_FIELDS);
     await claim.populate({
       path: "item",
-      select: "title description category uniqueIdentifier contactEmail contactPhone",
+      options: { withDeleted: true },
+      select: "title description category uniqueIdentifier contactEmail contactPhone status",
       populate: {
         path: "foundBy",
-        select: "name email phone"
+        select: USER_CONTACT_FIELDS
       }
     });
 
-    res.json({ message: "Claim updated successfully", claim });
+    for (const notified of [claim, ...resolved]) {
+      dispatchNotification({ user: notified.claimant, email: notified.claimantEmail }, REVIEW_NOTIFICATIONS[notified.status], {
+        name: notified.claimant?.name || notified.claimantName,
+        itemTitle: claim.item?.title,
+        reviewNotes: notified.reviewNotes,
+        handoverCode: notified.status === "approved" ? notified.handoverCode : undefined,
+        claimId: notified._id,
+        itemId: claim.item?._id,
+      });
+    }
+
+    res.json({
+      message: "Claim updated successfully",
+      claim,
+      verification: await buildVerification(claim),
+      resolvedClaims: resolved.map((sibling) => ({ _id: sibling._id, status: sibling.status, claimantName: sibling.claimantName })),
+    });
   } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: "Another claim for this item has already been approved" });
+    }
     console.error("Error updating claim:", error);
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({ message: "Internal server error" });
   }
 });
@@ -0,0 +1,235 @@
+// routes/contact.js
+import express from "express";
+import crypto from "crypto";
+import ContactThread from "../models/ContactThread.js";
+import LostItem from "../models/LostItem.js";
+import FoundItem from "../models/FoundItem.js";
+import { protect, optionalAuth } from "../middleware/auth.js";
+import { dispatchNotification } from "../utils/notifications.js";
+import { publicUser } from "../utils/serializers.js";
+import { parseObjectId } from "../utils/pagination.js";
+
+const router = express.Router();
+
+const MAX_NEW_THREADS_PER_DAY = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// URL segment -> model and the fields holding the reporter's account and email
+const ITEM_SOURCES = {
+  "lost-items": { model: LostItem, itemType: "LostItem", owner: "reportedBy", email: (item) => item.contactInfo?.email },
+  "found-items": { model: FoundItem, itemType: "FoundItem", owner: "foundBy", email: (item) => item.contactEmail },
+};
+
+const tokenMatches = (expected, given) => {
+  const a = Buffer.from(String(expected || ""));
+  const b = Buffer.from(String(given || ""));
+  return a.length > 0 && a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Compares a ref that may be populated, unpopulated or null (participant deleted since)
+const isUser = (ref, user) => Boolean(ref && user) && String(ref._id ?? ref) === String(user._id);
+
+// Which side of the thread the caller is on: a signed-in participant, or the account-less
+// recipient holding the emailed reply token
+const sideOf = (thread, req) => {
+  if (isUser(thread.initiator, req.user)) return "initiator";
+  if (isUser(thread.recipient, req.user)) return "recipient";
+  const token = req.query.token || req.body?.token;
+  if (!thread.recipient && tokenMatches(thread.replyToken, token)) return "recipient";
+  return null;
+};
+
+// Thread as one side sees it: the other party by short name only, never contact details.
+// The other party is null for account-less reporters and for accounts deleted since.
+const describeThread = (thread, side) => {
+  const other = side === "initiator" ? thread.recipient : thread.initiator;
+  const fallbackName = side === "initiator" ? "Reporter" : "Deleted user";
+  return {
+    _id: thread._id,
+    itemType: thread.itemType,
+    item: thread.item,
+    itemTitle: thread.itemTitle,
+    you: side,
+    with: publicUser(other) || { name: fallbackName },
+    messages: thread.messages.map(({ _id, from, body, sentAt, readAt }) => ({ _id, from, body, sentAt, readAt, mine: from === side })),
+    unread: thread.messages.filter((message) => message.from !== side && !message.readAt).length,
+    lastMessageAt: thread.lastMessageAt,
+  };
+};
+
+// Tell the other side a message arrived; account-less recipients get it by email with a reply link.
+// Nobody is told when the other side deleted their account.
+const notifyOtherSide = (thread, side, body, senderName) => {
+  const data = {
+    itemTitle: thread.itemTitle,
+    senderName,
+    message: body,
+    threadId: thread._id,
+  };
+  if (side === "recipient") {
+    if (thread.initiator) dispatchNotification({ user: thread.initiator }, "contactMessage", data);
+  } else if (thread.recipient) {
+    dispatchNotification({ user: thread.recipient }, "contactMessage", data);
+  } else if (thread.recipientEmail) {
+    dispatchNotification({ email: thread.recipientEmail }, "contactMessage", { ...data, token: thread.replyToken });
+  }
+};
+
+// POST /api/contact/:itemType/:id - Message the person who reported a lost or found item (authenticated)
+// :itemType is "lost-items" or "found-items". Body: { message }
+// Reuses your existing conversation about the item; the reporter never sees your email and you never see theirs.
+router.post("/:itemType(lost-items|found-items)/:id", protect, async (req, res) => {
+  try {
+    const source = ITEM_SOURCES[req.params.itemType];
+    const body = String(req.body.message || "").trim();
+    if (!body) {
+      return res.status(400).json({ message: "Message text is required" });
+    }
+
+    const item = await source.model.findById(parseObjectId(req.params.id, "item id"));
+    if (!item) {
+      return res.status(404).json({ message: "Item not found" });
+    }
+
+    const ownerId = item[source.owner];
+    if (ownerId?.equals(req.user._id)) {
+      return res.status(400).json({ message: "This is your own report" });
+    }
+    const ownerEmail = source.email(item);
+    if (!ownerId && !ownerEmail) {
+      return res.status(400).json({ message: "The reporter left no way to be contacted; please ask the security office" });
+    }
+
+    let thread = await ContactThread.findOne({ item: item._id, initiator: req.user._id }).select("+recipientEmail +replyToken");
+    if (!thread) {
+      const startedToday = await ContactThread.countDocuments({
+        initiator: req.user._id,
+        createdAt: { $gte: new Date(Date.now() - DAY_MS) },
+      });
+      if (startedToday >= MAX_NEW_THREADS_PER_DAY) {
+        return res.status(429).json({ message: "You have started too many conversations today; please try again tomorrow" });
+      }
+
+      thread = new ContactThread({
+        itemType: source.itemType,
+        item: item._id,
+        itemTitle: item.title,
+        initiator: req.user._id,
+        recipient: ownerId || null,
+        recipientEmail: ownerId ? null : ownerEmail,
+        replyToken: ownerId ? null : crypto.randomBytes(24).toString("hex"),
+      });
+    }
+
+    thread.messages.push({ from: "initiator", body });
+    thread.lastMessageAt = new Date();
+    await thread.save();
+
+    notifyOtherSide(thread, "initiator", body, publicUser(req.user).name);
+
+    await thread.populate("recipient", "name");
+    res.status(201).json({ message: "Message sent", thread: describeThread(thread, "initiator") });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((e) => e.message).join(", ");
+      return res.status(400).json({ message: `Validation error: ${messages}` });
+    }
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Error starting contact thread:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// GET /api/contact/threads - Your relayed conversations, newest first (authenticated)
+router.get("/threads", protect, async (req, res) => {
+  try {
+    const threads = await ContactThread.find({ $or: [{ initiator: req.user._id }, { recipient: req.user._id }] })
+      .populate("initiator", "name")
+      .populate("recipient", "name")
+      .sort({ lastMessageAt: -1 })
+      .limit(100);
+
+    res.json({
+      threads: threads.map((thread) => {
+        const { messages, ...summary } = describeThread(thread, sideOf(thread, req));
+        return { ...summary, lastMessage: messages[messages.length - 1] || null };
+      }),
+    });
+  } catch (error) {
+    console.error("Error fetching contact threads:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// GET /api/contact/threads/:id - Read a conversation (participants, or ?token= from the emailed reply link)
+// Marks the other side's messages as read
+router.get("/threads/:id", optionalAuth, async (req, res) => {
+  try {
+    const thread = await ContactThread.findById(parseObjectId(req.params.id, "conversation id")).select("+replyToken");
+    const side = thread && sideOf(thread, req);
+    if (!side) {
+      return res.status(404).json({ message: "Conversation not found" });
+    }
+
+    let changed = false;
+    for (const message of thread.messages) {
+      if (message.from !== side && !message.readAt) {
+        message.readAt = new Date();
+        changed = true;
+      }
+    }
+    if (changed) await thread.save();
+
+    await thread.populate("initiator", "name");
+    await thread.populate("recipient", "name");
+    res.json({ thread: describeThread(thread, side) });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Error fetching contact thread:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// POST /api/contact/threads/:id/messages - Reply in a conversation (participants, or { token } from the reply link)
+// Body: { message, token? }
+router.post("/threads/:id/messages", optionalAuth, async (req, res) => {
+  try {
+    const body = String(req.body.message || "").trim();
+    if (!body) {
+      return res.status(400).json({ message: "Message text is required" });
+    }
+
+    const thread = await ContactThread.findById(parseObjectId(req.params.id, "conversation id")).select("+recipientEmail +replyToken");
+    const side = thread && sideOf(thread, req);
+    if (!side) {
+      return res.status(404).json({ message: "Conversation not found" });
+    }
+
+    thread.messages.push({ from: side, body });
+    thread.lastMessageAt = new Date();
+    await thread.save();
+
+    const senderName = req.user ? publicUser(req.user).name : "The reporter";
+    notifyOtherSide(thread, side, body, senderName);
+
+    await thread.populate("initiator", "name");
+    await thread.populate("recipient", "name");
+    res.status(201).json({ message: "Message sent", thread: describeThread(thread, side) });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((e) => e.message).join(", ");
+      return res.status(400).json({ message: `Validation error: ${messages}` });
+    }
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Error replying in contact thread:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+export default router;
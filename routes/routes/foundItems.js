@@ -1,30 +1,25 @@
 import express from "express"
-import FoundItem from "../../routes/models/FoundItem.js" // fixed path
+import FoundItem, { FOUND_ITEM_STATUSES, DISPOSAL_METHODS } from "../../routes/models/FoundItem.js" // fixed path
 import { upload } from "../../routes/middleware/upload.js" // fixed multer import
-import { protect, requireRole } from "../../routes/middleware/auth.js"
-import jwt from "jsonwebtoken"
-import User from "../../routes/models/User.js"
+import { protect, requireRole, optionalAuth } from "../../routes/middleware/auth.js"
+import Match from "../../routes/models/Match.js"
+import { scheduleMatching } from "../../routes/utils/matching.js"
+import { scheduleSavedSearchAlerts } from "../../routes/utils/savedSearches.js"
+import { recordAudit } from "../../routes/utils/audit.js"
+import { paginate, buildListFilters, parsePageParams } from "../../routes/utils/pagination.js"
+import { assignStorageLocation } from "../../routes/utils/storage.js"
+import { serializeFoundItem, isStaff, USER_CONTACT_FIELDS } from "../../routes/utils/serializers.js"
+import { resolveLocationId } from "../../routes/utils/locations.js"
+import mongoose from "mongoose"
 
 const router = express.Router()
 
-// Helper function to get user from token (optional auth)
-const getOptionalUser = async (req) => {
-  const authHeader = req.headers.authorization
-  if (authHeader?.startsWith("Bearer ")) {
-    const token = authHeader.split(" ")[1]
-    try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET)
-      const user = await User.findById(decoded.id).select("_id")
-      return user
-    } catch (_) {
-      return null
-    }
-  }
-  return null
-}
+const SORT_FIELDS = ["createdAt", "updatedAt", "dateFound", "title", "category", "status"]
+const MAX_RETENTION_EXTENSION_DAYS = 365
+const DISPOSAL_REPORT_LIMIT = 10000
 
 // POST /api/found-items - Add a new found item
-router.post("/", upload.array("images", 5), async (req, res) => {
+router.post("/", optionalAuth, upload.array("images", 5), async (req, res) => {
   try {
     // Extract Cloudinary URLs from uploaded files
     const imageUrls = (req.files || []).map((file) => {
@@ -32,8 +27,8 @@ router.post("/", upload.array("images", 5), async (req, res) => {
       return file.path || file.secure_url || file.url;
     }).filter(Boolean); // Remove any undefined/null values
 
-    // Get user if authenticated (optional)
-    const user = await getOptionalUser(req)
+    // Signed-in finder, if any (set by optionalAuth)
+    const user = req.user
 
     // Create new found item
     if (!req.body.uniqueIdentifier) {
@@ -45,6 +40,7 @@ router.post("/", upload.array("images", 5), async (req, res) => {
       description: req.body.description,
       category: req.body.category,
       location: req.body.location,
+      campusLocation: await resolveLocationId(req.body.location),
       dateFound: req.body.dateFound,
       contactEmail: req.body.contactEmail,
       contactPhone: req.body.contactPhone,
@@ -54,7 +50,10 @@ router.post("/", upload.array("images", 5), async (req, res) => {
 
     // Save to DB
     const savedItem = await newItem.save()
-    await savedItem.populate("foundBy", "_id name email studentId phone")
+    await recordAudit(req, { action: "foundItem.create", targetType: "FoundItem", after: savedItem, actor: user })
+    scheduleMatching("found", savedItem)
+    scheduleSavedSearchAlerts(savedItem)
+    await savedItem.populate("foundBy", USER_CONTACT_FIELDS)
     res.status(201).json({
       message: "Item successfully added to registry!",
       item: savedItem,
@@ -80,32 +79,410 @@ router.post("/", upload.array("images", 5), async (req, res) => {
   }
 })
 
-// GET /api/found-items - Fetch all found items (public, but populate foundBy)
-router.get("/", async (req, res) => {
+// GET /api/found-items - Fetch found items (public)
+// Contact details and the finder are redacted unless the caller is the finder or staff/admin (see utils/serializers.js)
+// Query: category, status, location, reporter, dateFrom, dateTo (on dateFound),
+// plus the shared pagination params (limit, page | cursor, sort) - see utils/pagination.js
+router.get("/", optionalAuth, async (req, res) => {
   try {
-    const items = await FoundItem.find()
-      .populate("foundBy", "_id name email studentId phone")
-      .sort({ createdAt: -1 })
-    res.status(200).json({ items })
+    const query = buildListFilters(req.query, { dateField: "dateFound", reporterField: "foundBy" })
+
+    const { items, pagination } = await paginate(FoundItem, query, req, {
+      sortFields: SORT_FIELDS,
+      build: (q) => q.populate("foundBy", USER_CONTACT_FIELDS),
+    })
+    res.status(200).json({ items: items.map((item) => serializeFoundItem(item, req.user)), pagination })
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message })
+    }
     console.error("Error fetching found items:", error)
     res.status(500).json({ message: "Failed to load items", error: error.message })
   }
 })
 
 // GET /api/found-items/my-items - Fetch user's found items
+// Query: same filters and pagination params as GET /api/found-items
 router.get("/my-items", protect, async (req, res) => {
   try {
-    const items = await FoundItem.find({ foundBy: req.user._id })
-      .populate("foundBy", "_id name email studentId phone")
-      .sort({ createdAt: -1 })
-    res.status(200).json({ items })
+    const query = buildListFilters(req.query, { dateField: "dateFound" })
+    query.foundBy = req.user._id
+
+    const { items, pagination } = await paginate(FoundItem, query, req, {
+      sortFields: SORT_FIELDS,
+      build: (q) => q.populate("foundBy", USER_CONTACT_FIELDS),
+    })
+    res.status(200).json({ items: items.map((item) => serializeFoundItem(item, req.user)), pagination })
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message })
+    }
     console.error("Error fetching user's found items:", error)
     res.status(500).json({ message: "Failed to load items", error: error.message })
   }
 })
 
+const MAX_VERIFICATION_QUESTIONS = 5
+
+// GET /api/found-items/pending-disposal - Items past their retention period awaiting disposal (staff/admin only)
+// Query: category, location, plus the shared pagination params (sort also accepts retention.queuedAt) - see utils/pagination.js
+router.get("/pending-disposal", protect, requireRole("admin", "staff"), async (req, res) => {
+  try {
+    const query = buildListFilters(req.query, { dateField: null })
+    query.status = "pending_disposal"
+
+    const { items, pagination } = await paginate(FoundItem, query, req, {
+      sortFields: [...SORT_FIELDS, "retention.queuedAt"],
+      defaultSort: "retention.queuedAt",
+      build: (q) => q.populate("foundBy", USER_CONTACT_FIELDS).populate("storageLocation"),
+    })
+    res.status(200).json({ items, pagination })
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message })
+    }
+    console.error("Error fetching pending disposal queue:", error)
+    res.status(500).json({ message: "Failed to load items", error: error.message })
+  }
+})
+
+// GET /api/found-items/disposal-report - Items that left custody unclaimed, with how and to whom (staff/admin only)
+// Query: dateFrom, dateTo (on the disposal date), method (donated | destroyed | police, comma-separated), category,
+// format ("json" by default, or "csv" to download), plus limit/page for JSON
+router.get("/disposal-report", protect, requireRole("admin", "staff"), async (req, res) => {
+  try {
+    const query = buildListFilters(req.query, { dateField: "disposal.recordedAt", locationField: null })
+    delete query.status
+    query["disposal.method"] = req.query.method
+      ? { $in: String(req.query.method).split(",").map((method) => method.trim()) }
+      : { $ne: null }
+
+    if (req.query.format === "csv") {
+      const items = await FoundItem.find(query)
+        .setOptions({ withDeleted: true })
+        .populate("disposal.recordedBy", "name")
+        .sort({ "disposal.recordedAt": -1 })
+        .limit(DISPOSAL_REPORT_LIMIT)
+        .lean()
+
+      const csvCell = (value) => {
+        const text = value === null || value === undefined ? "" : String(value)
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+      }
+      const header = ["disposedAt", "method", "recipient", "reference", "recordedBy", "uniqueIdentifier", "title", "category", "dateFound", "notes"]
+      const rows = items.map((item) =>
+        [
+          item.disposal.recordedAt?.toISOString(),
+          item.disposal.method,
+          item.disposal.recipient,
+          item.disposal.reference,
+          item.disposal.recordedBy?.name,
+          item.uniqueIdentifier,
+          item.title,
+          item.category,
+          item.dateFound?.toISOString().slice(0, 10),
+          item.disposal.notes,
+        ].map(csvCell).join(",")
+      )
+
+      res.setHeader("Content-Type", "text/csv; charset=utf-8")
+      res.setHeader("Content-Disposition", `attachment; filename="disposal-report-${new Date().toISOString().slice(0, 10)}.csv"`)
+      return res.send([header.join(","), ...rows].join("\n"))
+    }
+
+    const { limit, page, skip } = parsePageParams(req.query)
+    const [items, total, byMethod, byCategory] = await Promise.all([
+      FoundItem.find(query)
+        .setOptions({ withDeleted: true })
+        .select("uniqueIdentifier title category dateFound status disposal")
+        .populate("disposal.recordedBy", "name")
+        .sort({ "disposal.recordedAt": -1 })
+        .skip(skip)
+        .limit(limit),
+      FoundItem.countDocuments(query).setOptions({ withDeleted: true }),
+      FoundItem.aggregate([{ $match: query }, { $group: { _id: "$disposal.method", count: { $sum: 1 } } }]).option({ withDeleted: true }),
+      FoundItem.aggregate([{ $match: query }, { $group: { _id: "$category", count: { $sum: 1 } } }]).option({ withDeleted: true }),
+    ])
+
+    res.json({
+      items,
+      summary: {
+        total,
+        byMethod: Object.fromEntries(byMethod.map((row) => [row._id, row.count])),
+        byCategory: Object.fromEntries(byCategory.map((row) => [row._id, row.count])),
+      },
+      pagination: { limit, total, page, totalPages: Math.ceil(total / limit), hasMore: skip + limit < total },
+    })
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message })
+    }
+    console.error("Error building disposal report:", error)
+    res.status(500).json({ message: "Failed to build disposal report", error: error.message })
+  }
+})
+
+// GET /api/found-items/:id/verification-questions - Questions a claimant must answer (public)
+// Staff/admin also receive the expected answers
+router.get("/:id/verification-questions", optionalAuth, async (req, res) => {
+  try {
+    let query = FoundItem.findById(req.params.id).select("title verificationQuestions")
+    if (isStaff(req.user)) query = query.select("+verificationQuestions.expectedAnswer")
+    const item = await query
+
+    if (!item) {
+      return res.status(404).json({ message: "Item not found" })
+    }
+
+    res.json({ itemId: item._id, title: item.title, questions: item.verificationQuestions })
+  } catch (error) {
+    console.error("Error fetching verification questions:", error)
+    res.status(500).json({ message: "Failed to load verification questions", error: error.message })
+  }
+})
+
+// PUT /api/found-items/:id/verification-questions - Replace an item's verification questions (staff/admin only)
+// Body: { questions: [{ _id?, question, expectedAnswer }] } - keep _id to preserve answers on pending claims
+router.put("/:id/verification-questions", protect, requireRole("admin", "staff"), async (req, res) => {
+  try {
+    const { questions } = req.body
+
+    if (!Array.isArray(questions)) {
+      return res.status(400).json({ message: "questions must be an array" })
+    }
+    if (questions.length > MAX_VERIFICATION_QUESTIONS) {
+      return res.status(400).json({ message: `An item can have at most ${MAX_VERIFICATION_QUESTIONS} verification questions` })
+    }
+
+    const item = await FoundItem.findById(req.params.id).select("+verificationQuestions.expectedAnswer")
+    if (!item) {
+      return res.status(404).json({ message: "Item not found" })
+    }
+
+    const before = item.toObject()
+    item.verificationQuestions = questions.map(({ _id, question, expectedAnswer }) => ({
+      ...(_id ? { _id } : {}),
+      question,
+      expectedAnswer,
+    }))
+    await item.save()
+    await recordAudit(req, { action: "foundItem.verificationQuestions.update", targetType: "FoundItem", before, after: item })
+
+    res.json({ message: "Verification questions saved", questions: item.verificationQuestions })
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((e) => e.message)
+      return res.status(400).json({ message: "Validation error", errors })
+    }
+    console.error("Error saving verification questions:", error)
+    res.status(500).json({ message: "Failed to save verification questions", error: error.message })
+  }
+})
+
+// GET /api/found-items/:id/storage - Where an item is kept and where it has been (staff/admin only)
+// :id may also be the item's uniqueIdentifier (e.g. the label on the bag)
+router.get("/:id/storage", protect, requireRole("admin", "staff"), async (req, res) => {
+  try {
+    const { id } = req.params
+    const item = await FoundItem.findOne(mongoose.Types.ObjectId.isValid(id) ? { _id: id } : { uniqueIdentifier: id })
+      .select("title uniqueIdentifier status storageLocation storageHistory")
+      .populate("storageLocation")
+      .populate("storageHistory.from storageHistory.to", "building room bin")
+      .populate("storageHistory.movedBy", "name")
+
+    if (!item) {
+      return res.status(404).json({ message: "Item not found" })
+    }
+
+    res.json({
+      itemId: item._id,
+      title: item.title,
+      uniqueIdentifier: item.uniqueIdentifier,
+      status: item.status,
+      storageLocation: item.storageLocation,
+      history: item.storageHistory,
+    })
+  } catch (error) {
+    console.error("Error fetching item storage:", error)
+    res.status(500).json({ message: "Failed to load item storage", error: error.message })
+  }
+})
+
+// PUT /api/found-items/:id/storage - Shelve, move or unshelve an item (staff/admin only)
+// Body: { storageLocation: id | null, note? }. Shelving a newly received item marks it in_storage.
+router.put("/:id/storage", protect, requireRole("admin", "staff"), async (req, res) => {
+  try {
+    const { storageLocation, note } = req.body
+    if (storageLocation === undefined) {
+      return res.status(400).json({ message: "storageLocation is required (use null to take the item off the shelf)" })
+    }
+
+    const item = await FoundItem.findById(req.params.id)
+    if (!item) {
+      return res.status(404).json({ message: "Item not found" })
+    }
+
+    const before = item.toObject()
+    const location = await assignStorageLocation(item, storageLocation, req.user._id, note || null)
+    await item.save()
+    await recordAudit(req, {
+      action: "foundItem.storage.move",
+      targetType: "FoundItem",
+      before,
+      after: item,
+      metadata: { location: location?.label || null },
+    })
+
+    res.json({ message: location ? `Item stored in ${location.label}` : "Item removed from storage", item })
+  } catch (error) {
+    if (error.status === 400 || error.status === 404) {
+      return res.status(error.status).json({ message: error.message })
+    }
+    console.error("Error moving found item:", error)
+    res.status(500).json({ message: "Failed to move item", error: error.message })
+  }
+})
+
+// PATCH /api/found-items/:id/status - Move a found item through its custody lifecycle (staff/admin only)
+// Body: { status: string, note?: string }
+router.patch("/:id/status", protect, requireRole("admin", "staff"), async (req, res) => {
+  try {
+    const { id } = req.params
+    const { status, note } = req.body
+
+    if (!FOUND_ITEM_STATUSES.includes(status)) {
+      return res.status(400).json({ message: "Invalid status" })
+    }
+
+    const item = await FoundItem.findById(id)
+    if (!item) {
+      return res.status(404).json({ message: "Item not found" })
+    }
+
+    // Claim-driven steps are handled by the claims review flow
+    if (status === "claim_pending" || status === "returned" || item.status === "claim_pending") {
+      return res.status(400).json({ message: "Claim-related status changes are made by reviewing the item's claims" })
+    }
+    // Disposals need a disposal report
+    if (status === "disposed" || status === "donated") {
+      return res.status(400).json({ message: "Record disposals with POST /api/found-items/:id/disposal" })
+    }
+
+    const before = item.toObject()
+    item.transitionTo(status, req.user._id, note || null)
+    await item.save()
+    await recordAudit(req, { action: "foundItem.status.update", targetType: "FoundItem", before, after: item })
+    scheduleMatching("found", item)
+
+    await item.populate("foundBy", USER_CONTACT_FIELDS)
+    await item.populate("statusHistory.changedBy", "name email")
+
+    res.json({ message: "Item status updated successfully", item })
+  } catch (error) {
+    console.error("Error updating found item status:", error)
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message })
+    }
+    res.status(500).json({ message: "Failed to update item status", error: error.message })
+  }
+})
+
+// POST /api/found-items/:id/disposal - Record how an unclaimed item left custody (staff/admin only)
+// Body: { method: "donated" | "destroyed" | "police", recipient?, reference?, notes? }
+// recipient (charity or police station) is required for donations and police handovers.
+// The item must be in the pending disposal queue (staff can queue it early via PATCH /:id/status).
+router.post("/:id/disposal", protect, requireRole("admin", "staff"), async (req, res) => {
+  try {
+    const { method, recipient, reference, notes } = req.body
+    if (!DISPOSAL_METHODS.includes(method)) {
+      return res.status(400).json({ message: `method must be one of ${DISPOSAL_METHODS.join(", ")}` })
+    }
+    if (method !== "destroyed" && !String(recipient || "").trim()) {
+      return res.status(400).json({ message: "recipient is required for donations and police handovers" })
+    }
+
+    const item = await FoundItem.findById(req.params.id)
+    if (!item) {
+      return res.status(404).json({ message: "Item not found" })
+    }
+    if (item.status !== "pending_disposal") {
+      return res.status(400).json({ message: "Only items in the pending disposal queue can be disposed of" })
+    }
+
+    const before = item.toObject()
+    item.disposal = {
+      method,
+      recipient: recipient ? String(recipient).trim() : null,
+      reference: reference ? String(reference).trim() : null,
+      notes: notes ? String(notes).trim() : null,
+      recordedBy: req.user._id,
+      recordedAt: new Date(),
+    }
+    const labels = { donated: "Donated", destroyed: "Destroyed", police: "Handed to police" }
+    item.transitionTo(method === "donated" ? "donated" : "disposed", req.user._id, `${labels[method]}${item.disposal.recipient ? ` (${item.disposal.recipient})` : ""}`)
+    await item.save()
+    await recordAudit(req, { action: "foundItem.dispose", targetType: "FoundItem", before, after: item, metadata: { method } })
+    scheduleMatching("found", item)
+
+    await item.populate("disposal.recordedBy", "name email")
+    res.json({ message: "Disposal recorded", item })
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((e) => e.message)
+      return res.status(400).json({ message: "Validation error", errors })
+    }
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message })
+    }
+    console.error("Error recording disposal:", error)
+    res.status(500).json({ message: "Failed to record disposal", error: error.message })
+  }
+})
+
+// POST /api/found-items/:id/retention/extend - Keep an unclaimed item longer (staff/admin only)
+// Body: { days, reason }. Takes the item out of the disposal queue; the finder is warned again before the new deadline.
+router.post("/:id/retention/extend", protect, requireRole("admin", "staff"), async (req, res) => {
+  try {
+    const days = parseInt(req.body.days, 10)
+    const reason = String(req.body.reason || "").trim()
+    if (!(days >= 1 && days <= MAX_RETENTION_EXTENSION_DAYS)) {
+      return res.status(400).json({ message: `days must be between 1 and ${MAX_RETENTION_EXTENSION_DAYS}` })
+    }
+    if (!reason) {
+      return res.status(400).json({ message: "reason is required" })
+    }
+
+    const item = await FoundItem.findById(req.params.id)
+    if (!item) {
+      return res.status(404).json({ message: "Item not found" })
+    }
+    if (!["received", "in_storage", "pending_disposal"].includes(item.status)) {
+      return res.status(400).json({ message: `Retention cannot be extended for an item that is ${item.status}` })
+    }
+
+    const before = item.toObject()
+    const holdUntil = new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+    item.retention.holdUntil = holdUntil
+    item.retention.holdReason = reason
+    item.retention.dueAt = holdUntil
+    item.retention.warnedAt = null
+    item.retention.queuedAt = null
+    if (item.status === "pending_disposal") {
+      item.transitionTo("in_storage", req.user._id, `Retention extended by ${days} days: ${reason}`)
+    }
+    await item.save()
+    await recordAudit(req, { action: "foundItem.retention.extend", targetType: "FoundItem", before, after: item })
+
+    res.json({ message: `Retention extended until ${holdUntil.toISOString().slice(0, 10)}`, item })
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message })
+    }
+    console.error("Error extending retention:", error)
+    res.status(500).json({ message: "Failed to extend retention", error: error.message })
+  }
+})
+
 // PATCH /api/found-items/:id - Update a found item (owner or staff/admin only)
 router.patch("/:id", protect, async (req, res) => {
   try {
@@ -144,10 +521,15 @@ router.patch("/:id", protect, async (req, res) => {
     if ("uniqueIdentifier" in updates && !updates.uniqueIdentifier) {
       return res.status(400).json({ message: "uniqueIdentifier cannot be empty" })
     }
+    if ("location" in updates) {
+      updates.campusLocation = await resolveLocationId(updates.location)
+    }
 
     const updated = await FoundItem.findByIdAndUpdate(id, updates, { new: true, runValidators: true })
-      .populate("foundBy", "_id name email studentId phone")
-    
+      .populate("foundBy", USER_CONTACT_FIELDS)
+    await recordAudit(req, { action: "foundItem.update", targetType: "FoundItem", before: item, after: updated })
+    scheduleMatching("found", updated)
+
     res.json({ message: "Item updated successfully", item: updated })
   } catch (error) {
     console.error("Error updating found item:", error)
@@ -160,13 +542,19 @@ router.delete("/:id", protect, requireRole("admin", "staff"), async (req, res) =
   try {
     const { id } = req.params
 
-    const deleted = await FoundItem.findByIdAndDelete(id)
+    const item = await FoundItem.findById(id)
 
-    if (!deleted) {
+    if (!item) {
       return res.status(404).json({ message: "Found item not found" })
     }
 
-    return res.status(200).json({ message: "Found item removed successfully" })
+    // Moved to the trash; purged for good after the retention period
+    const before = item.toObject()
+    await item.softDelete(req.user._id)
+    await Match.deleteMany({ foundItem: item._id, status: "suggested" })
+    await recordAudit(req, { action: "foundItem.delete", targetType: "FoundItem", before, after: item })
+
+    return res.status(200).json({ message: "Found item moved to trash" })
   } catch (error) {
     console.error("Delete found item error:", error)
     return res.status(500).json({ message: "Failed to remove found item" })
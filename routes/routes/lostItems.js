@@ -1,42 +1,54 @@
 // routes/lostItems.js
 import express from "express";
 import LostItem from "../models/LostItem.js";
-import { protect, requireRole } from "../middleware/auth.js";
+import Match from "../models/Match.js";
+import { protect, requireRole, optionalAuth } from "../middleware/auth.js";
 import { uploadLost } from "../middleware/upload.js";
-import jwt from "jsonwebtoken";
-import User from "../models/User.js";
+import { scheduleMatching } from "../utils/matching.js";
+import { dispatchNotification } from "../utils/notifications.js";
+import { recordAudit } from "../utils/audit.js";
+import { paginate, buildListFilters } from "../utils/pagination.js";
+import { escapeRegex } from "../utils/text.js";
+import { serializeLostItem, USER_CONTACT_FIELDS } from "../utils/serializers.js";
+import { resolveLocationId } from "../utils/locations.js";
 
 const router = express.Router();
 
-// GET /api/lost-items - Fetch all lost items (public, optional filters)
-router.get("/", async (req, res) => {
-  try {
-    const { category, status, search } = req.query;
-    const query = {};
+const SORT_FIELDS = ["createdAt", "updatedAt", "dateLost", "title", "category", "status"];
 
-    if (category) query.category = category;
-    if (status) query.status = status;
+// GET /api/lost-items - Fetch lost items (public)
+// Contact details and the reporter are redacted unless the caller is the reporter or staff/admin (see utils/serializers.js)
+// Query: category, status, location, reporter, dateFrom, dateTo (on dateLost), search,
+// plus the shared pagination params (limit, page | cursor, sort) - see utils/pagination.js
+router.get("/", optionalAuth, async (req, res) => {
+  try {
+    const query = buildListFilters(req.query, { dateField: "dateLost", reporterField: "reportedBy" });
+    const { search } = req.query;
     if (search) {
+      const pattern = escapeRegex(String(search));
       query.$or = [
-        { title: { $regex: search, $options: "i" } },
-        { description: { $regex: search, $options: "i" } },
+        { title: { $regex: pattern, $options: "i" } },
+        { description: { $regex: pattern, $options: "i" } },
       ];
     }
 
-    const items = await LostItem.find(query)
-      .populate("reportedBy", "name email studentId phone")
-      .sort({ createdAt: -1 })
-      .limit(100);
+    const { items, pagination } = await paginate(LostItem, query, req, {
+      sortFields: SORT_FIELDS,
+      build: (q) => q.populate("reportedBy", USER_CONTACT_FIELDS),
+    });
 
-    res.json({ items });
+    res.json({ items: items.map((item) => serializeLostItem(item, req.user)), pagination });
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error("Error fetching lost items:", error);
     res.status(500).json({ message: "Internal server error" });
   }
 });
 
 // POST /api/lost-items - Create new lost item (public, but attach user if authenticated)
-router.post("/", uploadLost.array("images", 5), async (req, res) => {
+router.post("/", optionalAuth, uploadLost.array("images", 5), async (req, res) => {
   try {
     // Extract Cloudinary URLs from uploaded files
     const imageUrls = (req.files || []).map((file) => {
@@ -44,23 +56,9 @@ router.post("/", uploadLost.array("images", 5), async (req, res) => {
       return file.path || file.secure_url || file.url;
     }).filter(Boolean); // Remove any undefined/null values
 
-    // Optional auth - try to get user from token
-    let userId = null;
-    let userEmail = null;
-    const authHeader = req.headers.authorization;
-    if (authHeader?.startsWith("Bearer ")) {
-      const token = authHeader.split(" ")[1];
-      try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const user = await User.findById(decoded.id).select("_id email");
-        if (user) {
-          userId = user._id;
-          userEmail = user.email;
-        }
-      } catch (_) {
-        // Invalid token, continue as anonymous
-      }
-    }
+    // Signed-in reporter, if any (set by optionalAuth)
+    const userId = req.user?._id || null;
+    const userEmail = req.user?.email || null;
 
     const {
       uniqueIdentifier,
@@ -87,6 +85,7 @@ router.post("/", uploadLost.array("images", 5), async (req, res) => {
       description,
       category,
       location,
+      campusLocation: await resolveLocationId(location),
       dateLost: new Date(dateLost),
       reportedBy: userId || null,
       contactInfo: {
@@ -101,8 +100,10 @@ router.post("/", uploadLost.array("images", 5), async (req, res) => {
     });
 
     await lostItem.save();
+    await recordAudit(req, { action: "lostItem.create", targetType: "LostItem", after: lostItem, actor: userId });
+    scheduleMatching("lost", lostItem);
     if (lostItem.reportedBy) {
-      await lostItem.populate("reportedBy", "name email studentId phone");
+      await lostItem.populate("reportedBy", USER_CONTACT_FIELDS);
     }
 
     res.status(201).json({ message: "Lost item reported successfully", item: lostItem });
@@ -119,29 +120,37 @@ router.post("/", uploadLost.array("images", 5), async (req, res) => {
 });
 
 // GET /api/lost-items/my-items - Fetch user's lost items
+// Query: same filters and pagination params as GET /api/lost-items
 router.get("/my-items", protect, async (req, res) => {
   try {
-    const items = await LostItem.find({ reportedBy: req.user._id })
-      .populate("foundBy", "name email")
-      .sort({ createdAt: -1 });
+    const query = buildListFilters(req.query, { dateField: "dateLost" });
+    query.reportedBy = req.user._id;
+
+    const { items, pagination } = await paginate(LostItem, query, req, {
+      sortFields: SORT_FIELDS,
+      build: (q) => q.populate("foundBy", "name email"),
+    });
 
-    res.json({ items });
+    res.json({ items, pagination });
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error("Error fetching user's lost items:", error);
     res.status(500).json({ message: "Internal server error" });
   }
 });
 
-// GET /api/lost-items/:id - Fetch single lost item
+// GET /api/lost-items/:id - Fetch single lost item (contact details only for the reporter and staff/admin)
 router.get("/:id", protect, async (req, res) => {
   try {
     const { id } = req.params;
     const item = await LostItem.findById(id)
-      .populate("reportedBy", "name email studentId phone");
+      .populate("reportedBy", USER_CONTACT_FIELDS);
 
     if (!item) return res.status(404).json({ message: "Item not found" });
 
-    res.json({ item });
+    res.json({ item: serializeLostItem(item, req.user) });
   } catch (error) {
     console.error("Error fetching lost item:", error);
     res.status(500).json({ message: "Internal server error" });
@@ -152,12 +161,6 @@ router.get("/:id", protect, async (req, res) => {
 router.patch("/:id", protect, async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
-
-    if ("uniqueIdentifier" in updates && !updates.uniqueIdentifier) {
-      return res.status(400).json({ message: "uniqueIdentifier cannot be empty" });
-    }
-
     const item = await LostItem.findById(id);
     if (!item) return res.status(404).json({ message: "Item not found" });
 
@@ -169,13 +172,41 @@ router.patch("/:id", protect, async (req, res) => {
       return res.status(403).json({ message: "You can only update items you reported" });
     }
 
-    Object.assign(item, updates);
-    await item.save();
+    const allowed = [
+      "uniqueIdentifier",
+      "title",
+      "description",
+      "category",
+      "location",
+      "dateLost",
+      "contactInfo",
+      "color",
+      "brand",
+      "size",
+      "additionalDetails",
+    ];
+    const updates = {};
+    for (const key of allowed) {
+      if (key in req.body) updates[key] = req.body[key];
+    }
+    if ("uniqueIdentifier" in updates && !updates.uniqueIdentifier) {
+      return res.status(400).json({ message: "uniqueIdentifier cannot be empty" });
+    }
+    if ("location" in updates) {
+      updates.campusLocation = await resolveLocationId(updates.location);
+    }
 
-    await item.populate("reportedBy", "name email studentId phone");
+    const updated = await LostItem.findByIdAndUpdate(id, updates, { new: true, runValidators: true })
+      .populate("reportedBy", USER_CONTACT_FIELDS);
+    await recordAudit(req, { action: "lostItem.update", targetType: "LostItem", before: item, after: updated });
+    scheduleMatching("lost", updated);
 
-    res.json({ message: "Item updated successfully", item });
+    res.json({ message: "Item updated successfully", item: updated });
   } catch (error) {
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((e) => e.message).join(", ");
+      return res.status(400).json({ message: `Validation error: ${messages}` });
+    }
     console.error("Error updating lost item:", error);
     res.status(500).json({ message: "Internal server error" });
   }
@@ -183,7 +214,7 @@ router.patch("/:id", protect, async (req, res) => {
 
 // POST /api/lost-items/:id/mark-found - User reports they found the lost item
 // Creates a pending report that staff/admin must approve (does NOT mark item as found yet)
-router.post("/:id/mark-found", uploadLost.single("image"), async (req, res) => {
+router.post("/:id/mark-found", optionalAuth, uploadLost.single("image"), async (req, res) => {
   try {
     const { id } = req.params;
     const providedUniqueId = (req.body.uniqueIdentifier || "").trim();
@@ -208,18 +239,10 @@ router.post("/:id/mark-found", uploadLost.single("image"), async (req, res) => {
       return res.status(400).json({ message: "This lost item has already been marked as found or closed" });
     }
 
-    // Attach submitter if authenticated (optional)
-    let submittedBy = null;
-    const authHeader = req.headers.authorization;
-    if (authHeader?.startsWith("Bearer ")) {
-      const token = authHeader.split(" ")[1];
-      try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        submittedBy = decoded?.id || null;
-      } catch (_) {
-        submittedBy = null;
-      }
-    }
+    // Attach submitter if authenticated (set by optionalAuth)
+    const submittedBy = req.user?._id || null;
+
+    const before = item.toObject();
 
     // If there's already a pending report, overwrite it with the latest submission
     if (item.foundReport?.status === "pending") {
@@ -241,10 +264,17 @@ router.post("/:id/mark-found", uploadLost.single("image"), async (req, res) => {
     }
 
     await item.save();
+    await recordAudit(req, {
+      action: "lostItem.foundReport.submit",
+      targetType: "LostItem",
+      before,
+      after: item,
+      actor: submittedBy,
+    });
 
     return res.status(200).json({
       message: "Report submitted. Awaiting staff/admin approval.",
-      item: await LostItem.findById(id).populate("reportedBy", "name email studentId phone"),
+      item: serializeLostItem(await LostItem.findById(id).populate("reportedBy", USER_CONTACT_FIELDS), null),
     });
   } catch (error) {
     console.error("Error marking lost item as found:", error);
@@ -260,15 +290,25 @@ router.get("/found-reports", protect, requireRole("admin", "staff"), async (req,
       return res.status(400).json({ message: "Invalid status" });
     }
 
-    const items = await LostItem.find({ "foundReport.status": status })
-      .populate("reportedBy", "name email studentId phone")
-      .populate("foundReport.submittedBy", "name email studentId phone")
-      .populate("foundReport.approvedBy", "name email")
-      .populate("foundReport.rejectedBy", "name email")
-      .sort({ "foundReport.submittedAt": -1 });
+    const query = buildListFilters({ ...req.query, status: undefined }, { dateField: "foundReport.submittedAt", reporterField: "foundReport.submittedBy" });
+    query["foundReport.status"] = status;
+
+    const { items, pagination } = await paginate(LostItem, query, req, {
+      sortFields: ["foundReport.submittedAt", ...SORT_FIELDS],
+      defaultSort: "-foundReport.submittedAt",
+      build: (q) =>
+        q
+          .populate("reportedBy", USER_CONTACT_FIELDS)
+          .populate("foundReport.submittedBy", USER_CONTACT_FIELDS)
+          .populate("foundReport.approvedBy", "name email")
+          .populate("foundReport.rejectedBy", "name email"),
+    });
 
-    res.json({ items });
+    res.json({ items, pagination });
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error("Error fetching found reports:", error);
     res.status(500).json({ message: "Internal server error" });
   }
@@ -285,6 +325,8 @@ router.patch("/:id/found-report/approve", protect, requireRole("admin", "staff")
       return res.status(400).json({ message: "No pending found report to approve" });
     }
 
+    const before = item.toObject();
+
     // Mark lost item as found
     item.status = "found";
     item.foundVerification = {
@@ -302,12 +344,20 @@ router.patch("/:id/found-report/approve", protect, requireRole("admin", "staff")
     item.foundReport.rejectionReason = null;
 
     await item.save();
+    await recordAudit(req, { action: "lostItem.foundReport.approve", targetType: "LostItem", before, after: item });
+    // Item is no longer missing, so drop its open suggestions
+    scheduleMatching("lost", item);
 
     const populated = await LostItem.findById(id)
-      .populate("reportedBy", "name email studentId phone")
-      .populate("foundReport.submittedBy", "name email studentId phone")
+      .populate("reportedBy", USER_CONTACT_FIELDS)
+      .populate("foundReport.submittedBy", USER_CONTACT_FIELDS)
       .populate("foundReport.approvedBy", "name email");
 
+    dispatchNotification({ user: populated.reportedBy, email: populated.contactInfo?.email }, "foundReportApproved", {
+      itemTitle: populated.title,
+      itemId: populated._id,
+    });
+
     res.json({ message: "Found report approved. Lost item marked as found.", item: populated });
   } catch (error) {
     console.error("Error approving found report:", error);
@@ -327,18 +377,32 @@ router.patch("/:id/found-report/reject", protect, requireRole("admin", "staff"),
       return res.status(400).json({ message: "No pending found report to reject" });
     }
 
+    const before = item.toObject();
     item.foundReport.status = "rejected";
     item.foundReport.rejectedBy = req.user._id;
     item.foundReport.rejectedAt = new Date();
     item.foundReport.rejectionReason = reason || null;
 
     await item.save();
+    await recordAudit(req, {
+      action: "lostItem.foundReport.reject",
+      targetType: "LostItem",
+      before,
+      after: item,
+      metadata: { reason: reason || null },
+    });
 
     const populated = await LostItem.findById(id)
-      .populate("reportedBy", "name email studentId phone")
-      .populate("foundReport.submittedBy", "name email studentId phone")
+      .populate("reportedBy", USER_CONTACT_FIELDS)
+      .populate("foundReport.submittedBy", USER_CONTACT_FIELDS)
       .populate("foundReport.rejectedBy", "name email");
 
+    dispatchNotification({ user: populated.reportedBy, email: populated.contactInfo?.email }, "foundReportRejected", {
+      itemTitle: populated.title,
+      reason: reason || null,
+      itemId: populated._id,
+    });
+
     res.json({ message: "Found report rejected.", item: populated });
   } catch (error) {
     console.error("Error rejecting found report:", error);
@@ -351,13 +415,19 @@ router.delete("/:id", protect, requireRole("admin", "staff"), async (req, res) =
   try {
     const { id } = req.params;
 
-    const deleted = await LostItem.findByIdAndDelete(id);
+    const item = await LostItem.findById(id);
 
-    if (!deleted) {
+    if (!item) {
       return res.status(404).json({ message: "Lost item not found" });
     }
 
-    return res.status(200).json({ message: "Lost item removed successfully" });
+    // Moved to the trash; purged for good after the retention period
+    const before = item.toObject();
+    await item.softDelete(req.user._id);
+    await Match.deleteMany({ lostItem: item._id, status: "suggested" });
+    await recordAudit(req, { action: "lostItem.delete", targetType: "LostItem", before, after: item });
+
+    return res.status(200).json({ message: "Lost item moved to trash" });
   } catch (error) {
     console.error("Delete lost item error:", error);
     return res.status(500).json({ message: "Failed to remove lost item" });
@@ -0,0 +1,91 @@
+// routes/matches.js
+import express from "express";
+import Match from "../models/Match.js";
+import { protect, requireRole } from "../middleware/auth.js";
+import { recordAudit } from "../utils/audit.js";
+import { parseObjectId } from "../utils/pagination.js";
+
+const router = express.Router();
+
+const populateMatch = (query) =>
+  query
+    .populate({
+      path: "lostItem",
+      select: "uniqueIdentifier title description category location dateLost status images",
+      populate: { path: "reportedBy", select: "name email" },
+    })
+    .populate({
+      path: "foundItem",
+      select: "uniqueIdentifier title description category location dateFound status images",
+      populate: { path: "foundBy", select: "name email" },
+    })
+    .populate("reviewedBy", "name email");
+
+// GET /api/matches - List stored match candidates (staff/admin only)
+// Query: status (default "suggested"), lostItemId, foundItemId, minScore
+router.get("/", protect, requireRole("admin", "staff"), async (req, res) => {
+  try {
+    const { status = "suggested", lostItemId, foundItemId, minScore } = req.query;
+
+    if (!["suggested", "confirmed", "dismissed", "all"].includes(status)) {
+      return res.status(400).json({ message: "Invalid status" });
+    }
+
+    const query = {};
+    if (status !== "all") query.status = status;
+    if (lostItemId) query.lostItem = parseObjectId(lostItemId, "lostItemId");
+    if (foundItemId) query.foundItem = parseObjectId(foundItemId, "foundItemId");
+    if (minScore) query.score = { $gte: Number(minScore) || 0 };
+
+    const matches = await populateMatch(Match.find(query))
+      .sort({ score: -1, createdAt: -1 })
+      .limit(100);
+
+    res.json({ matches });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Error fetching matches:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// PATCH /api/matches/:id/confirm - Confirm a suggested match (staff/admin only)
+// PATCH /api/matches/:id/dismiss - Dismiss a suggested match so the pair is never suggested again (staff/admin only)
+router.patch("/:id/:action(confirm|dismiss)", protect, requireRole("admin", "staff"), async (req, res) => {
+  try {
+    const { id, action } = req.params;
+    const { reviewNotes } = req.body;
+
+    const match = await Match.findById(parseObjectId(id, "match id"));
+    if (!match) return res.status(404).json({ message: "Match not found" });
+
+    if (match.status !== "suggested") {
+      return res.status(400).json({ message: `Match has already been ${match.status}` });
+    }
+
+    const before = match.toObject();
+    match.status = action === "confirm" ? "confirmed" : "dismissed";
+    match.reviewedBy = req.user._id;
+    match.reviewedAt = new Date();
+    match.reviewNotes = reviewNotes || null;
+    await match.save();
+    await recordAudit(req, { action: `match.${action}`, targetType: "Match", before, after: match });
+
+    const populated = await populateMatch(Match.findById(id));
+
+    res.json({
+      message: action === "confirm" ? "Match confirmed" : "Match dismissed",
+      match: populated,
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Error reviewing match:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+export default router;
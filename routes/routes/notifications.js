@@ -0,0 +1,125 @@
+// routes/notifications.js
+import express from "express";
+import Notification, { NOTIFICATION_TYPES } from "../models/Notification.js";
+import User from "../models/User.js";
+import { verifyToken } from "../middleware/auth.js";
+import { parseObjectId } from "../utils/pagination.js";
+
+const router = express.Router();
+
+// Inbox routes use verifyToken so pending/rejected users can still see the decision on their account
+
+// GET /api/notifications - List the current user's notifications
+// Query: unread=true to only list unread ones, limit (default 20, max 100), before (ISO date, for loading older pages)
+router.get("/", verifyToken, async (req, res) => {
+  try {
+    const { unread, before } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const query = { user: req.user._id };
+    if (unread === "true") query.readAt = null;
+    if (before) {
+      const beforeDate = new Date(before);
+      if (Number.isNaN(beforeDate.getTime())) {
+        return res.status(400).json({ message: "Invalid before date" });
+      }
+      query.createdAt = { $lt: beforeDate };
+    }
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(query).sort({ createdAt: -1 }).limit(limit),
+      Notification.countDocuments({ user: req.user._id, readAt: null }),
+    ]);
+
+    res.json({ notifications, unreadCount });
+  } catch (error) {
+    console.error("Error fetching notifications:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// GET /api/notifications/unread-count - Number of unread notifications
+router.get("/unread-count", verifyToken, async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({ user: req.user._id, readAt: null });
+    res.json({ unreadCount });
+  } catch (error) {
+    console.error("Error counting notifications:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// PATCH /api/notifications/read-all - Mark every notification as read
+router.patch("/read-all", verifyToken, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+    res.json({ message: "All notifications marked as read", updated: result.modifiedCount });
+  } catch (error) {
+    console.error("Error marking notifications as read:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// GET /api/notifications/preferences - Which events are also sent by email
+router.get("/preferences", verifyToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("notificationPreferences");
+    res.json({ preferences: user.notificationPreferences });
+  } catch (error) {
+    console.error("Error fetching notification preferences:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// PATCH /api/notifications/preferences - Update email preferences
+// Body: { email: { claimApproved: false, matchFound: true, ... } }
+router.patch("/preferences", verifyToken, async (req, res) => {
+  try {
+    const email = req.body.email || {};
+    const update = {};
+
+    for (const [type, enabled] of Object.entries(email)) {
+      if (!NOTIFICATION_TYPES.includes(type)) {
+        return res.status(400).json({ message: `Unknown notification type: ${type}` });
+      }
+      if (typeof enabled !== "boolean") {
+        return res.status(400).json({ message: `Preference for ${type} must be true or false` });
+      }
+      update[`notificationPreferences.email.${type}`] = enabled;
+    }
+
+    const user = await User.findByIdAndUpdate(req.user._id, { $set: update }, { new: true })
+      .select("notificationPreferences");
+
+    res.json({ message: "Notification preferences updated", preferences: user.notificationPreferences });
+  } catch (error) {
+    console.error("Error updating notification preferences:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// PATCH /api/notifications/:id/read - Mark one notification as read
+router.patch("/:id/read", verifyToken, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: parseObjectId(req.params.id, "notification id"), user: req.user._id });
+    if (!notification) return res.status(404).json({ message: "Notification not found" });
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({ message: "Notification marked as read", notification });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Error marking notification as read:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,163 @@
+// routes/savedSearches.js
+import express from "express";
+import SavedSearch, { SAVED_SEARCH_FREQUENCIES } from "../models/SavedSearch.js";
+import FoundItem from "../models/FoundItem.js";
+import { protect } from "../middleware/auth.js";
+import { paginate } from "../utils/pagination.js";
+import { buildSavedSearchFilter } from "../utils/savedSearches.js";
+
+const router = express.Router();
+
+const MAX_SAVED_SEARCHES_PER_USER = 20;
+const RESULTS_LIMIT = 20;
+
+// Copy the editable fields from a request body onto a saved search
+const applyFields = (savedSearch, { name, query, filters, frequency, paused }) => {
+  if (name !== undefined) savedSearch.name = name || null;
+  if (query !== undefined) savedSearch.query = String(query || "");
+  if (filters !== undefined) {
+    for (const field of ["category", "location", "dateFrom", "dateTo"]) {
+      if (filters?.[field] !== undefined) savedSearch.filters[field] = filters[field] || null;
+    }
+  }
+  if (frequency !== undefined) savedSearch.frequency = frequency;
+  if (paused !== undefined) savedSearch.paused = Boolean(paused);
+};
+
+const validationMessage = (error) =>
+  `Validation error: ${Object.values(error.errors).map((e) => e.message).join(", ")}`;
+
+// GET /api/saved-searches - List the current user's saved searches
+// Query: the shared pagination params (limit, page | cursor, sort) - see utils/pagination.js
+router.get("/", protect, async (req, res) => {
+  try {
+    const { items: savedSearches, pagination } = await paginate(SavedSearch, { user: req.user._id }, req, {
+      sortFields: ["createdAt", "name", "lastMatchedAt"],
+    });
+    res.json({ savedSearches, pagination });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Error fetching saved searches:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// POST /api/saved-searches - Save a search and get alerted about new matching found items
+// Body: { name?, query?, filters?: { category, location, dateFrom, dateTo }, frequency?: "instant" | "daily" }
+router.post("/", protect, async (req, res) => {
+  try {
+    const { frequency } = req.body;
+    if (frequency !== undefined && !SAVED_SEARCH_FREQUENCIES.includes(frequency)) {
+      return res.status(400).json({ message: "Invalid frequency" });
+    }
+
+    const existing = await SavedSearch.countDocuments({ user: req.user._id });
+    if (existing >= MAX_SAVED_SEARCHES_PER_USER) {
+      return res.status(400).json({ message: `You can keep up to ${MAX_SAVED_SEARCHES_PER_USER} saved searches` });
+    }
+
+    const savedSearch = new SavedSearch({ user: req.user._id });
+    applyFields(savedSearch, { ...req.body, paused: undefined });
+    await savedSearch.save();
+
+    res.status(201).json({ message: "Search saved", savedSearch });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: validationMessage(error) });
+    }
+    console.error("Error saving search:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// GET /api/saved-searches/:id - Fetch one saved search
+router.get("/:id", protect, async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findOne({ _id: req.params.id, user: req.user._id })
+      .populate("pendingMatches.foundItem", "title location dateFound status");
+    if (!savedSearch) return res.status(404).json({ message: "Saved search not found" });
+
+    res.json({ savedSearch });
+  } catch (error) {
+    console.error("Error fetching saved search:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// GET /api/saved-searches/:id/results - Run a saved search now and return the latest matching found items
+router.get("/:id/results", protect, async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findOne({ _id: req.params.id, user: req.user._id });
+    if (!savedSearch) return res.status(404).json({ message: "Saved search not found" });
+
+    const items = await FoundItem.find(await buildSavedSearchFilter(savedSearch))
+      .select("title description category location dateFound status images")
+      .sort({ createdAt: -1 })
+      .limit(RESULTS_LIMIT);
+
+    res.json({ items });
+  } catch (error) {
+    console.error("Error running saved search:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// PATCH /api/saved-searches/:id - Edit a saved search
+// Body: any of { name, query, filters, frequency, paused }
+router.patch("/:id", protect, async (req, res) => {
+  try {
+    const { frequency } = req.body;
+    if (frequency !== undefined && !SAVED_SEARCH_FREQUENCIES.includes(frequency)) {
+      return res.status(400).json({ message: "Invalid frequency" });
+    }
+
+    const savedSearch = await SavedSearch.findOne({ _id: req.params.id, user: req.user._id });
+    if (!savedSearch) return res.status(404).json({ message: "Saved search not found" });
+
+    applyFields(savedSearch, req.body);
+    await savedSearch.save();
+
+    res.json({ message: "Saved search updated", savedSearch });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: validationMessage(error) });
+    }
+    console.error("Error updating saved search:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// PATCH /api/saved-searches/:id/pause and /resume - Stop or restart alerts without losing the search
+router.patch("/:id/:action(pause|resume)", protect, async (req, res) => {
+  try {
+    const paused = req.params.action === "pause";
+    const savedSearch = await SavedSearch.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { $set: { paused } },
+      { new: true }
+    );
+    if (!savedSearch) return res.status(404).json({ message: "Saved search not found" });
+
+    res.json({ message: paused ? "Alerts paused" : "Alerts resumed", savedSearch });
+  } catch (error) {
+    console.error("Error pausing saved search:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// DELETE /api/saved-searches/:id - Delete a saved search
+router.delete("/:id", protect, async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    if (!savedSearch) return res.status(404).json({ message: "Saved search not found" });
+
+    res.json({ message: "Saved search deleted" });
+  } catch (error) {
+    console.error("Error deleting saved search:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+export default router;
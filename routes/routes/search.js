@@ -2,115 +2,188 @@
 import express from "express";
 import LostItem from "../models/LostItem.js";
 import FoundItem from "../models/FoundItem.js";
+import Match from "../models/Match.js";
 import { protect } from "../middleware/auth.js";
+import { matchLostItem } from "../utils/matching.js";
+import { buildListFilters, parsePageParams, parseSort, nextLink } from "../utils/pagination.js";
+import { escapeRegex, tokenize, stem } from "../utils/text.js";
+import { expandSearchQuery, highlight } from "../utils/search.js";
+import { serializeLostItem, serializeFoundItem, USER_CONTACT_FIELDS } from "../utils/serializers.js";
 
 const router = express.Router();
 
-// GET /api/search - Advanced search across lost and found items
+// Sort options for the merged result list; "relevance" needs a search query
+const SEARCH_SORT_FIELDS = ["relevance", "createdAt", "title", "category", "status"];
+// Results from both collections are merged and ranked in memory, so paging stops this deep
+const MAX_SEARCH_DEPTH = 500;
+
+const compareBy = (field, direction) => (a, b) => {
+  if (field === "relevance") return (b.item.score || 0) - (a.item.score || 0);
+  const left = a.item[field];
+  const right = b.item[field];
+  if (left instanceof Date || right instanceof Date) return direction * (new Date(left) - new Date(right));
+  return direction * String(left ?? "").localeCompare(String(right ?? ""));
+};
+
+// GET /api/search - Relevance-ranked search across lost and found items
+// Query: q (words, "exact phrases" and -excluded words), category, color, brand, location, status, reporter,
+// dateFrom, dateTo, type (all | lost | found), limit, page,
+// sort (relevance | createdAt | title | category | status, "-" for descending; relevance by default when q is set)
+// Returns one list ordered across both collections; each result carries type ("lost" | "found"),
+// its text score and highlighted title/description snippets
 router.get("/", protect, async (req, res) => {
   try {
-    const { q: query, category, color, brand, location, dateFrom, dateTo, type } = req.query;
-
-    const searchQuery = {};
-    const foundQuery = {};
-
-    // Text search
-    if (query) {
-      const textSearch = {
-        $or: [
-          { title: { $regex: query, $options: "i" } },
-          { description: { $regex: query, $options: "i" } },
-          { additionalDetails: { $regex: query, $options: "i" } },
-        ],
-      };
-      searchQuery.$and = searchQuery.$and || [];
-      searchQuery.$and.push(textSearch);
-      foundQuery.$and = foundQuery.$and || [];
-      foundQuery.$and.push(textSearch);
-    }
+    const { color, brand, type = "all" } = req.query;
+    const text = String(req.query.q || "").trim();
+    // Typo corrections and admin-managed synonyms widen the query before it reaches MongoDB
+    const expanded = text ? await expandSearchQuery(text, { category: req.query.category }) : null;
 
-    // Filters
-    if (category) {
-      searchQuery.category = category;
-      foundQuery.category = category;
-    }
-    if (color) {
-      searchQuery.color = { $regex: color, $options: "i" };
-      foundQuery.color = { $regex: color, $options: "i" };
+    if (!["all", "lost", "found"].includes(type)) {
+      return res.status(400).json({ message: "Invalid type" });
     }
-    if (brand) {
-      searchQuery.brand = { $regex: brand, $options: "i" };
-      foundQuery.brand = { $regex: brand, $options: "i" };
-    }
-    if (location) {
-      searchQuery.location = { $regex: location, $options: "i" };
-      foundQuery.location = { $regex: location, $options: "i" };
+
+    const { field, direction } = parseSort(req.query.sort, SEARCH_SORT_FIELDS, text ? "relevance" : "-createdAt");
+    if (field === "relevance" && !text) {
+      return res.status(400).json({ message: "Sorting by relevance requires a search query" });
     }
 
-    // Date range
-    if (dateFrom || dateTo) {
-      const dateFilter = {};
-      if (dateFrom) dateFilter.$gte = new Date(dateFrom);
-      if (dateTo) dateFilter.$lte = new Date(dateTo);
-      searchQuery.dateLost = dateFilter;
-      foundQuery.dateFound = dateFilter;
+    const { limit, page, skip } = parsePageParams(req.query);
+    if (skip + limit > MAX_SEARCH_DEPTH) {
+      return res.status(400).json({ message: `Search results are limited to the first ${MAX_SEARCH_DEPTH}; refine your query` });
     }
 
-    const results = {};
+    const lostQuery = buildListFilters(req.query, { dateField: "dateLost", reporterField: "reportedBy" });
+    const foundQuery = buildListFilters(req.query, { dateField: "dateFound", reporterField: "foundBy" });
 
-    if (type === "all" || type === "lost" || !type) {
-      const lostItems = await LostItem.find(searchQuery)
-        .populate("reportedBy", "name email")
-        .sort({ createdAt: -1 })
-        .limit(50);
-      results.lostItems = lostItems;
+    // MongoDB text search handles phrases, negation and stemming natively
+    if (text) {
+      lostQuery.$text = { $search: expanded.search };
+      foundQuery.$text = { $search: expanded.search };
+    }
+    if (color) {
+      lostQuery.color = { $regex: escapeRegex(String(color)), $options: "i" };
+      foundQuery.color = { $regex: escapeRegex(String(color)), $options: "i" };
+    }
+    if (brand) {
+      lostQuery.brand = { $regex: escapeRegex(String(brand)), $options: "i" };
+      foundQuery.brand = { $regex: escapeRegex(String(brand)), $options: "i" };
     }
 
-    if (type === "all" || type === "found" || !type) {
-      const foundItems = await FoundItem.find(foundQuery)
-        .populate("foundBy", "name email")
-        .sort({ createdAt: -1 })
-        .limit(50);
-      results.foundItems = foundItems;
+    const sources = [];
+    if (type !== "found") {
+      sources.push({ type: "lost", model: LostItem, query: lostQuery, owner: "reportedBy", serialize: serializeLostItem });
+    }
+    if (type !== "lost") {
+      sources.push({ type: "found", model: FoundItem, query: foundQuery, owner: "foundBy", serialize: serializeFoundItem });
     }
 
-    res.json(results);
+    const sort = field === "relevance" ? { score: { $meta: "textScore" }, _id: -1 } : { [field]: direction, _id: direction };
+
+    // Each collection only needs to supply enough results to fill the requested page
+    const fetched = await Promise.all(
+      sources.map(async (source) => {
+        let listQuery = source.model.find(source.query)
+          .populate(source.owner, USER_CONTACT_FIELDS)
+          .sort(sort)
+          .limit(skip + limit)
+          .lean();
+        if (text) listQuery = listQuery.select({ score: { $meta: "textScore" } });
+
+        const [items, total] = await Promise.all([listQuery, source.model.countDocuments(source.query)]);
+        return { type: source.type, items: items.map((item) => source.serialize(item, req.user)), total };
+      })
+    );
+
+    const ranked = fetched
+      .flatMap(({ type: itemType, items }) => items.map((item) => ({ type: itemType, item })))
+      .sort(compareBy(field, direction));
+
+    const results = ranked.slice(skip, skip + limit).map(({ type: itemType, item }) => ({
+      ...item,
+      type: itemType,
+      score: item.score ?? null,
+      highlights: text
+        ? {
+            title: highlight(item.title, expanded.parsed),
+            description: highlight(item.description, expanded.parsed, { snippet: true }),
+          }
+        : null,
+    }));
+
+    const total = fetched.reduce((sum, source) => sum + source.total, 0);
+    const hasMore = skip + limit < Math.min(total, MAX_SEARCH_DEPTH);
+
+    res.json({
+      results,
+      query: expanded && { ...expanded.parsed, corrections: expanded.corrections, synonyms: expanded.synonyms },
+      pagination: {
+        limit,
+        total,
+        page,
+        totalPages: Math.ceil(total / limit),
+        hasMore,
+        nextCursor: null,
+        next: hasMore ? nextLink(req, { page: String(page + 1) }) : null,
+      },
+    });
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error("Error performing search:", error);
     res.status(500).json({ message: "Internal server error" });
   }
 });
 
+// Match every word of a phrase by its stem, in order ("phone chargers" -> /phon.*charger/)
+const stemPattern = (value) => {
+  const tokens = tokenize(value);
+  return tokens.length ? tokens.map((token) => escapeRegex(stem(token))).join(".*") : escapeRegex(value);
+};
+
 // GET /api/search/suggestions - Get search suggestions and autocomplete
+// Query: q, type (all | lost | found), category (narrows the synonyms used)
+// Tolerates typos and expands synonyms; didYouMean is set when a word was corrected
 router.get("/suggestions", protect, async (req, res) => {
   try {
     const { q: query, type } = req.query;
 
-    if (!query || query.length < 2) return res.json({ suggestions: [] });
+    if (!query || query.length < 2) return res.json({ suggestions: [], didYouMean: null });
+
+    const { corrections, synonyms } = await expandSearchQuery(String(query), { category: req.query.category });
+    const didYouMean = Object.keys(corrections).length
+      ? tokenize(query).map((token) => corrections[token] || token).join(" ")
+      : null;
+    const synonymTerms = synonyms.flatMap((entry) => entry.synonyms);
+
+    // Titles may match what was typed, its corrected form or any synonym
+    const pattern = [String(query), didYouMean, ...synonymTerms].filter(Boolean).map(stemPattern).join("|");
 
     const suggestions = new Set();
 
     if (type === "all" || type === "lost" || !type) {
-      const lostTitles = await LostItem.find({ title: { $regex: query, $options: "i" } })
+      const lostTitles = await LostItem.find({ title: { $regex: pattern, $options: "i" } })
         .select("title")
         .limit(10);
       lostTitles.forEach((item) => suggestions.add(item.title));
     }
 
     if (type === "all" || type === "found" || !type) {
-      const foundTitles = await FoundItem.find({ title: { $regex: query, $options: "i" } })
+      const foundTitles = await FoundItem.find({ title: { $regex: pattern, $options: "i" } })
         .select("title")
         .limit(10);
       foundTitles.forEach((item) => suggestions.add(item.title));
     }
 
-    const brands = await LostItem.distinct("brand", { brand: { $regex: query, $options: "i" } });
+    const brands = await LostItem.distinct("brand", { brand: { $regex: pattern, $options: "i" } });
     brands.forEach((brand) => brand && suggestions.add(brand));
 
-    const foundBrands = await FoundItem.distinct("brand", { brand: { $regex: query, $options: "i" } });
+    const foundBrands = await FoundItem.distinct("brand", { brand: { $regex: pattern, $options: "i" } });
     foundBrands.forEach((brand) => brand && suggestions.add(brand));
 
-    res.json({ suggestions: Array.from(suggestions).slice(0, 10) });
+    synonymTerms.forEach((term) => suggestions.add(term));
+
+    res.json({ suggestions: Array.from(suggestions).slice(0, 10), didYouMean });
   } catch (error) {
     console.error("Error getting search suggestions:", error);
     res.status(500).json({ message: "Internal server error" });
@@ -118,6 +191,7 @@ router.get("/suggestions", protect, async (req, res) => {
 });
 
 // GET /api/search/matches - Find potential matches between lost and found items
+// Re-runs the matching engine for the lost item and returns its stored candidates
 router.get("/matches", protect, async (req, res) => {
   try {
     const { lostItemId } = req.query;
@@ -126,53 +200,24 @@ router.get("/matches", protect, async (req, res) => {
     const lostItem = await LostItem.findById(lostItemId);
     if (!lostItem) return res.status(404).json({ message: "Lost item not found" });
 
-    const matchQuery = { status: "unclaimed", category: lostItem.category };
-    const optionalMatches = [];
-
-    if (lostItem.color) optionalMatches.push({ color: { $regex: lostItem.color, $options: "i" } });
-    if (lostItem.brand) optionalMatches.push({ brand: { $regex: lostItem.brand, $options: "i" } });
-    if (lostItem.size) optionalMatches.push({ size: { $regex: lostItem.size, $options: "i" } });
-
-    const titleWords = lostItem.title.split(" ").filter((w) => w.length > 2);
-    if (titleWords.length) {
-      optionalMatches.push({
-        $or: [
-          { title: { $regex: titleWords.join("|"), $options: "i" } },
-          { description: { $regex: titleWords.join("|"), $options: "i" } },
-        ],
-      });
-    }
+    await matchLostItem(lostItem);
 
-    if (optionalMatches.length) matchQuery.$or = optionalMatches;
-
-    const potentialMatches = await FoundItem.find(matchQuery)
-      .populate("foundBy", "name email")
-      .sort({ dateFound: -1 })
-      .limit(20);
-
-    const scoredMatches = potentialMatches.map((foundItem) => {
-      let score = 0;
-      if (foundItem.category === lostItem.category) score += 30;
-      if (lostItem.color && foundItem.color && foundItem.color.toLowerCase().includes(lostItem.color.toLowerCase())) score += 25;
-      if (lostItem.brand && foundItem.brand && foundItem.brand.toLowerCase().includes(lostItem.brand.toLowerCase())) score += 25;
-      if (lostItem.size && foundItem.size && foundItem.size.toLowerCase().includes(lostItem.size.toLowerCase())) score += 15;
-
-      const lostWords = lostItem.title.toLowerCase().split(" ");
-      const foundWords = foundItem.title.toLowerCase().split(" ");
-      score += lostWords.filter((w) => foundWords.includes(w)).length * 5;
-
-      const daysDiff = Math.abs(new Date(foundItem.dateFound) - new Date(lostItem.dateLost)) / (1000 * 60 * 60 * 24);
-      if (daysDiff <= 7) score += 10;
-      else if (daysDiff <= 30) score += 5;
-
-      return { ...foundItem.toObject(), matchScore: score };
-    });
+    const stored = await Match.find({ lostItem: lostItem._id, status: { $in: ["suggested", "confirmed"] } })
+      .populate({ path: "foundItem", populate: { path: "foundBy", select: USER_CONTACT_FIELDS } })
+      .sort({ score: -1 })
+      .limit(10);
 
-    const topMatches = scoredMatches
-      .filter((m) => m.matchScore >= 30)
-      .sort((a, b) => b.matchScore - a.matchScore);
+    const matches = stored
+      .filter((match) => match.foundItem)
+      .map((match) => ({
+        ...serializeFoundItem(match.foundItem, req.user),
+        matchId: match._id,
+        matchStatus: match.status,
+        matchScore: match.score,
+        matchReasons: match.reasons,
+      }));
 
-    res.json({ lostItem, matches: topMatches.slice(0, 10) });
+    res.json({ lostItem: serializeLostItem(lostItem, req.user), matches });
   } catch (error) {
     console.error("Error finding matches:", error);
     res.status(500).json({ message: "Internal server error" });
@@ -0,0 +1,208 @@
+// routes/storageLocations.js
+import express from "express";
+import StorageLocation from "../models/StorageLocation.js";
+import FoundItem, { FOUND_ITEM_CLOSED_STATUSES } from "../models/FoundItem.js";
+import { protect, requireRole } from "../middleware/auth.js";
+import { recordAudit } from "../utils/audit.js";
+import { escapeRegex } from "../utils/text.js";
+import { paginate } from "../utils/pagination.js";
+import { withOccupancy } from "../utils/storage.js";
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ["building", "room", "bin", "capacity", "notes", "active"];
+const ITEM_FIELDS = "title category uniqueIdentifier status dateFound storageLocation";
+
+// Case-insensitive exact match, so "main library" finds "Main Library"
+const exactMatch = (value) => ({ $regex: `^${escapeRegex(String(value).trim())}$`, $options: "i" });
+
+const locationFilter = ({ building, room, bin }) => {
+  const filter = {};
+  if (building) filter.building = exactMatch(building);
+  if (room) filter.room = exactMatch(room);
+  if (bin) filter.bin = String(bin).trim().toUpperCase();
+  return filter;
+};
+
+const saveError = (error, res) => {
+  if (error.name === "ValidationError") {
+    const messages = Object.values(error.errors).map((e) => e.message).join(", ");
+    return res.status(400).json({ message: `Validation error: ${messages}` });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({ message: "A storage location with this building, room and bin already exists" });
+  }
+  return null;
+};
+
+// GET /api/storage-locations - List storage locations with how full they are (staff/admin only)
+// Query: building, room, bin, active ("true" | "false"), plus the shared pagination params - see utils/pagination.js
+router.get("/", protect, requireRole("staff", "admin"), async (req, res) => {
+  try {
+    const filter = locationFilter(req.query);
+    if (req.query.active !== undefined) filter.active = req.query.active === "true";
+
+    const { items, pagination } = await paginate(StorageLocation, filter, req, {
+      sortFields: ["building", "room", "bin", "createdAt"],
+      defaultSort: "building",
+    });
+    res.json({ locations: await withOccupancy(items), pagination });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Error fetching storage locations:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// GET /api/storage-locations/contents - What is in a bin, e.g. ?bin=C3 (staff/admin only)
+// Query: bin (required), building?, room? - narrows the lookup when the same label is used in several rooms
+router.get("/contents", protect, requireRole("staff", "admin"), async (req, res) => {
+  try {
+    if (!req.query.bin) {
+      return res.status(400).json({ message: "bin is required" });
+    }
+
+    const locations = await StorageLocation.find(locationFilter(req.query)).sort({ building: 1, room: 1 });
+    const items = await FoundItem.find({
+      storageLocation: { $in: locations.map((location) => location._id) },
+      status: { $nin: FOUND_ITEM_CLOSED_STATUSES },
+    })
+      .select(ITEM_FIELDS)
+      .sort({ createdAt: 1 });
+
+    const located = await withOccupancy(locations);
+    res.json({
+      locations: located.map((location) => ({
+        ...location,
+        items: items.filter((item) => item.storageLocation.equals(location._id)),
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching storage contents:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// GET /api/storage-locations/:id - One storage location with its occupancy (staff/admin only)
+router.get("/:id", protect, requireRole("staff", "admin"), async (req, res) => {
+  try {
+    const location = await StorageLocation.findById(req.params.id).populate("updatedBy", "name");
+    if (!location) return res.status(404).json({ message: "Storage location not found" });
+
+    const [withCounts] = await withOccupancy([location]);
+    res.json({ location: withCounts });
+  } catch (error) {
+    console.error("Error fetching storage location:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// GET /api/storage-locations/:id/items - Items currently kept in a location (staff/admin only)
+// Query: the shared pagination params - see utils/pagination.js
+router.get("/:id/items", protect, requireRole("staff", "admin"), async (req, res) => {
+  try {
+    const location = await StorageLocation.findById(req.params.id);
+    if (!location) return res.status(404).json({ message: "Storage location not found" });
+
+    const { items, pagination } = await paginate(
+      FoundItem,
+      { storageLocation: location._id, status: { $nin: FOUND_ITEM_CLOSED_STATUSES } },
+      req,
+      { sortFields: ["createdAt", "dateFound", "title"], build: (q) => q.select(ITEM_FIELDS) }
+    );
+    res.json({ location, items, pagination });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Error fetching storage location items:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// POST /api/storage-locations - Add a storage location (admin only)
+// Body: { building, room, bin, capacity?, notes? }
+router.post("/", protect, requireRole("admin"), async (req, res) => {
+  try {
+    const location = new StorageLocation({ createdBy: req.user._id, updatedBy: req.user._id });
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) location[field] = req.body[field];
+    }
+    await location.save();
+    await recordAudit(req, { action: "storageLocation.create", targetType: "StorageLocation", after: location });
+
+    res.status(201).json({ message: "Storage location created", location });
+  } catch (error) {
+    if (saveError(error, res)) return;
+    console.error("Error creating storage location:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// PUT /api/storage-locations/:id - Edit a storage location (admin only)
+// Body: any of { building, room, bin, capacity, notes, active }. Capacity cannot drop below the items already stored.
+router.put("/:id", protect, requireRole("admin"), async (req, res) => {
+  try {
+    const location = await StorageLocation.findById(req.params.id);
+    if (!location) return res.status(404).json({ message: "Storage location not found" });
+
+    const before = location.toObject();
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) location[field] = req.body[field];
+    }
+    location.updatedBy = req.user._id;
+
+    if (location.capacity) {
+      const [{ occupied }] = await withOccupancy([location]);
+      if (occupied > location.capacity) {
+        return res.status(400).json({ message: `${occupied} items are stored here; move some out before lowering the capacity` });
+      }
+    }
+
+    await location.save();
+    await recordAudit(req, { action: "storageLocation.update", targetType: "StorageLocation", before, after: location });
+
+    res.json({ message: "Storage location updated", location });
+  } catch (error) {
+    if (saveError(error, res)) return;
+    console.error("Error updating storage location:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// DELETE /api/storage-locations/:id - Remove an empty storage location (admin only)
+// Locations that appear in an item's move history are retired (active: false) instead of deleted
+router.delete("/:id", protect, requireRole("admin"), async (req, res) => {
+  try {
+    const location = await StorageLocation.findById(req.params.id);
+    if (!location) return res.status(404).json({ message: "Storage location not found" });
+
+    const [{ occupied }] = await withOccupancy([location]);
+    if (occupied > 0) {
+      return res.status(400).json({ message: `${location.label} still holds ${occupied} item(s); move them first` });
+    }
+
+    const referenced = await FoundItem.exists({
+      $or: [{ storageLocation: location._id }, { "storageHistory.to": location._id }],
+    }).setOptions({ withDeleted: true });
+    if (referenced) {
+      const before = location.toObject();
+      location.active = false;
+      location.updatedBy = req.user._id;
+      await location.save();
+      await recordAudit(req, { action: "storageLocation.retire", targetType: "StorageLocation", before, after: location });
+      return res.json({ message: "Storage location retired; it is kept for the move history", location });
+    }
+
+    await location.deleteOne();
+    await recordAudit(req, { action: "storageLocation.delete", targetType: "StorageLocation", before: location });
+    res.json({ message: "Storage location deleted" });
+  } catch (error) {
+    console.error("Error deleting storage location:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,80 @@
+// Shared audit trail helper used by every mutating route
+import AuditLog from "../models/AuditLog.js";
+
+// Never copied into the audit log
+const SENSITIVE_FIELDS = new Set([
+  "password",
+  "codeHash",
+  "handoverCode",
+  "replyToken",
+  "tokenHash",
+  "emailVerificationTokenHash",
+  "emailVerificationExpiresAt",
+  "emailVerificationSentAt",
+]);
+// Change on every save and carry no meaning for reviewers
+const IGNORED_FIELDS = new Set(["__v", "updatedAt"]);
+
+const toPlain = (value) => {
+  if (!value) return null;
+  const plain = typeof value.toObject === "function" ? value.toObject({ depopulate: true }) : { ...value };
+  for (const field of SENSITIVE_FIELDS) delete plain[field];
+  // Round-trip through JSON so ObjectIds/Dates are stored as plain values
+  return JSON.parse(JSON.stringify(plain));
+};
+
+/**
+ * Reduce two snapshots to the top-level fields that differ
+ * @returns {{ before: object|null, after: object|null }}
+ */
+export const diffSnapshots = (before, after) => {
+  if (!before || !after) return { before, after };
+
+  const changedBefore = {};
+  const changedAfter = {};
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  for (const field of fields) {
+    if (IGNORED_FIELDS.has(field)) continue;
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changedBefore[field] = before[field] ?? null;
+      changedAfter[field] = after[field] ?? null;
+    }
+  }
+  return { before: changedBefore, after: changedAfter };
+};
+
+/**
+ * Append an audit entry. Errors are logged, never thrown, so auditing cannot break the request.
+ * @param {object|null} req - Express request (actor and IP are read from it); null for background jobs
+ * @param {object} entry
+ * @param {string} entry.action - e.g. "lostItem.delete"
+ * @param {string} entry.targetType - e.g. "LostItem"
+ * @param {*} [entry.targetId]
+ * @param {object} [entry.before] - Document (or plain object) before the change
+ * @param {object} [entry.after] - Document (or plain object) after the change
+ * @param {object} [entry.metadata] - Extra context, e.g. { reason }
+ * @param {object|string} [entry.actor] - Acting user when req.user is not set (optional-auth routes)
+ */
+export const recordAudit = async (req, { action, targetType, targetId = null, before = null, after = null, metadata = null, actor: actorOverride = null }) => {
+  try {
+    const diff = diffSnapshots(toPlain(before), toPlain(after));
+    const actor = req?.user || actorOverride || null;
+
+    await AuditLog.create({
+      actor: actor?._id || actor || null,
+      actorName: actor?.name || null,
+      actorEmail: actor?.email || null,
+      actorRole: actor?.role || null,
+      action,
+      targetType,
+      targetId: targetId || after?._id || before?._id || null,
+      before: diff.before,
+      after: diff.after,
+      metadata,
+      ip: req?.ip || null,
+      userAgent: req?.headers?.["user-agent"] || null,
+    });
+  } catch (error) {
+    console.error(`Error writing audit log for ${action}:`, error);
+  }
+};
@@ -0,0 +1,211 @@
+// Transactional email templates
+// Each template takes event data and returns { subject, text, html } plus a
+// short { title, summary, link } used for the in-app inbox.
+
+const APP_NAME = "FoundCloud";
+
+const appLink = (pathname = "") => {
+  const base = (process.env.FRONTEND_URL || "").replace(/\/$/, "");
+  return base ? `${base}${pathname}` : null;
+};
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Wrap plain paragraphs into matching text and html bodies
+const render = (subject, name, paragraphs, linkPath) => {
+  const greeting = `Hi ${name || "there"},`;
+  const link = linkPath ? appLink(linkPath) : null;
+  const lines = [greeting, ...paragraphs, ...(link ? [`Open ${APP_NAME}: ${link}`] : []), `— The ${APP_NAME} team`];
+
+  const html = [
+    `<p>${escapeHtml(greeting)}</p>`,
+    ...paragraphs.map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`),
+    ...(link ? [`<p><a href="${escapeHtml(link)}">Open ${APP_NAME}</a></p>`] : []),
+    `<p>— The ${APP_NAME} team</p>`,
+  ].join("\n");
+
+  return {
+    subject: `[${APP_NAME}] ${subject}`,
+    text: lines.join("\n\n"),
+    html,
+    // Short form reused for in-app notifications
+    title: subject,
+    summary: paragraphs[0],
+    link: linkPath || null,
+  };
+};
+
+const templates = {
+  accountApproved: ({ name }) =>
+    render("Your account has been approved", name, ["Your account has been approved. You can now sign in."], "/login"),
+
+  accountRejected: ({ name, reason }) =>
+    render("Your account request was not approved", name, [
+      "Unfortunately your account request was not approved.",
+      ...(reason ? [`Reason: ${reason}`] : []),
+      "If you think this is a mistake, please contact the security office.",
+    ]),
+
+  claimSubmitted: ({ name, itemTitle }) =>
+    render("We received your claim", name, [
+      `We received your claim for "${itemTitle}".`,
+      "Staff will review your proof of ownership and let you know the outcome.",
+    ], "/claims"),
+
+  claimApproved: ({ name, itemTitle, reviewNotes, handoverCode }) =>
+    render("Your claim was approved", name, [
+      `Your claim for "${itemTitle}" has been approved.`,
+      ...(reviewNotes ? [`Notes from staff: ${reviewNotes}`] : []),
+      "Staff will offer pickup times shortly. Please bring a valid ID when you collect the item.",
+      ...(handoverCode ? [`Your handover code: ${handoverCode}. Show it at the desk; do not share it with anyone else.`] : []),
+    ], "/claims"),
+
+  pickupSlotsOffered: ({ name, itemTitle, collectionPoint, slots = [], claimId }) =>
+    render("Choose a pickup time", name, [
+      `You can collect "${itemTitle}" at ${collectionPoint}. Available times:`,
+      ...slots.map((slot) => `• ${new Date(slot.startsAt).toUTCString()} – ${new Date(slot.endsAt).toUTCString()}`),
+      "Open your claim to book one of them.",
+    ], `/claims/${claimId}`),
+
+  pickupBooked: ({ name, itemTitle, collectionPoint, startsAt, handoverCode, claimId }) =>
+    render("Your pickup is booked", name, [
+      `Your pickup of "${itemTitle}" is booked for ${new Date(startsAt).toUTCString()} at ${collectionPoint}.`,
+      "Bring a valid photo ID and your handover code (or the QR code shown in your claim).",
+      ...(handoverCode ? [`Handover code: ${handoverCode}`] : []),
+    ], `/claims/${claimId}`),
+
+  handoverCompleted: ({ name, itemTitle, completedAt }) =>
+    render("Item collected", name, [
+      `"${itemTitle}" was handed over to you on ${new Date(completedAt).toUTCString()}.`,
+      "If you did not collect this item, contact the security office immediately.",
+    ], "/claims"),
+
+  claimRejected: ({ name, itemTitle, reviewNotes }) =>
+    render("Your claim was not approved", name, [
+      `Your claim for "${itemTitle}" was not approved.`,
+      ...(reviewNotes ? [`Notes from staff: ${reviewNotes}`] : []),
+    ], "/claims"),
+
+  claimInfoRequested: ({ name, itemTitle, reviewNotes }) =>
+    render("More information needed for your claim", name, [
+      `Staff need more information before they can decide on your claim for "${itemTitle}".`,
+      ...(reviewNotes ? [`What is needed: ${reviewNotes}`] : []),
+      "Open your claim to add the requested details.",
+    ], "/claims"),
+
+  claimMessage: ({ name, itemTitle, authorName, claimId }) =>
+    render("New message about your claim", name, [
+      `${authorName || "Someone"} sent a message about the claim for "${itemTitle}".`,
+      "Open the claim to read it and reply. Please keep the conversation in the app rather than sharing personal email addresses.",
+    ], `/claims/${claimId}`),
+
+  claimOnHold: ({ name, itemTitle, reviewNotes }) =>
+    render("Your claim is on hold", name, [
+      `Your claim for "${itemTitle}" has been put on hold while another claim for the same item is handled.`,
+      ...(reviewNotes ? [`Notes from staff: ${reviewNotes}`] : []),
+      "We will let you know if your claim is picked up again.",
+    ], "/claims"),
+
+  foundReportApproved: ({ name, itemTitle }) =>
+    render("Your lost item has been found", name, [
+      `Good news: a report that "${itemTitle}" was found has been verified by staff.`,
+      "Please contact the security office to arrange collection.",
+    ], "/my-items"),
+
+  foundReportRejected: ({ name, itemTitle, reason }) =>
+    render("A found report on your item was rejected", name, [
+      `Someone reported finding "${itemTitle}", but staff could not verify the report.`,
+      ...(reason ? [`Reason: ${reason}`] : []),
+      "Your item is still listed as lost.",
+    ], "/my-items"),
+
+  adminInvite: ({ invitedBy, code, expiresAt }) =>
+    render("You have been invited as an administrator", null, [
+      `${invitedBy || "An administrator"} has invited you to become a ${APP_NAME} administrator.`,
+      `Sign up with this email address, choose the admin role and enter the invite code: ${code}`,
+      ...(expiresAt ? [`The code expires on ${new Date(expiresAt).toUTCString()}.`] : []),
+    ], "/signup"),
+
+  verifyEmail: ({ name, token }) =>
+    render("Verify your email address", name, [
+      "Please confirm this is your email address so we can review your account.",
+      `Your verification code: ${token}`,
+      "The code is valid for 48 hours.",
+    ], `/verify-email?token=${token}`),
+
+  passwordReset: ({ name, email, token, expiresInMinutes }) =>
+    render("Reset your password", name, [
+      "We received a request to reset your password.",
+      `Use this reset code within ${expiresInMinutes} minutes: ${token}`,
+      "The code can only be used once. If you did not ask for a reset, you can ignore this email.",
+    ], `/reset-password?email=${encodeURIComponent(email)}&token=${token}`),
+
+  matchFound: ({ name, itemTitle, foundTitle, score }) =>
+    render("A possible match for your lost item", name, [
+      `A recently logged found item, "${foundTitle}", looks like a strong match (${score}/100) for your lost "${itemTitle}".`,
+      "Visit the security office or submit a claim to check whether it is yours.",
+    ], "/my-items"),
+
+  contactMessage: ({ name, itemTitle, senderName, message, threadId, token }) =>
+    render(`New message about "${itemTitle}"`, name, [
+      `${senderName || "Someone"} sent you a message about "${itemTitle}" through ${APP_NAME}:`,
+      `"${message}"`,
+      "Reply from the link below. Your email address and phone number are not shared with them.",
+    ], token ? `/contact/${threadId}?token=${token}` : `/contact/${threadId}`),
+
+  retentionWarning: ({ name, itemType, itemTitle, dueAt, audience, itemId }) => {
+    const date = new Date(dueAt).toUTCString();
+    if (itemType === "lost") {
+      return render(`Your lost item report closes on ${date}`, name, [
+        `Your report for "${itemTitle}" will be closed on ${date}, when it reaches the end of its retention period.`,
+        "If you are still looking for it, please file a new report after it closes.",
+      ], "/my-items");
+    }
+    if (audience === "owner") {
+      return render("An item that may be yours will soon be disposed of", name, [
+        `A found item, "${itemTitle}", looks like a match for your lost item report.`,
+        `Unclaimed items are donated or disposed of after a fixed period; this one will be queued for disposal on ${date}.`,
+        "If it is yours, submit a claim before then.",
+      ], `/found-items/${itemId}`);
+    }
+    return render("An item you handed in is nearing its retention deadline", name, [
+      `Nobody has claimed "${itemTitle}" yet. It will be queued for donation or disposal on ${date}.`,
+      "No action is needed from you; this is just to let you know.",
+    ], "/my-items");
+  },
+
+  lostReportExpired: ({ name, itemTitle }) =>
+    render("Your lost item report was closed", name, [
+      `Your report for "${itemTitle}" reached the end of its retention period and has been closed.`,
+      "If you are still looking for it, please file a new report.",
+    ], "/my-items"),
+
+  savedSearchMatch: ({ name, searchName, foundTitle, foundItemId }) =>
+    render(`New match for ${searchName}`, name, [
+      `A newly logged found item, "${foundTitle}", matches your saved search ${searchName}.`,
+      "If it is yours, open the item and submit a claim.",
+    ], `/found-items/${foundItemId}`),
+
+  savedSearchDigest: ({ name, searchName, count, items = [] }) =>
+    render(`${count} new match${count === 1 ? "" : "es"} for ${searchName}`, name, [
+      `${count} newly logged found item${count === 1 ? "" : "s"} matched your saved search ${searchName} since the last digest.`,
+      ...items.map((item) => `• ${item.title}${item.location ? ` (found at ${item.location})` : ""}`),
+      ...(count > items.length ? [`…and ${count - items.length} more.`] : []),
+    ], "/saved-searches"),
+};
+
+/**
+ * Render a named template
+ * @param {string} name - Template name, e.g. "claimApproved"
+ * @param {object} data - Values used by the template
+ */
+export const renderTemplate = (name, data = {}) => {
+  const template = templates[name];
+  if (!template) throw new Error(`Unknown email template: ${name}`);
+  return template(data);
+};
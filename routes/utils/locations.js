@@ -0,0 +1,187 @@
+// Campus location catalogue: resolving the free-text location on lost and found items to a
+// CampusLocation, and the per-location counts behind the hotspot heatmap.
+import CampusLocation from "../models/CampusLocation.js";
+import LostItem from "../models/LostItem.js";
+import FoundItem from "../models/FoundItem.js";
+import { INTERVAL_FORMATS } from "./stats.js";
+
+// The catalogue is small and read on every new report, so it is cached and reloaded at most this often
+const CATALOGUE_TTL_MS = Number(process.env.LOCATION_CATALOGUE_TTL_MS) || 5 * 60 * 1000;
+
+// Words that say nothing about the place ("near the library", "outside of B12")
+const FILLER_WORDS = new Set(["a", "an", "and", "around", "at", "by", "in", "inside", "near", "next", "of", "on", "outside", "the", "to"]);
+
+let catalogueCache = null;
+let catalogueLoadedAt = 0;
+
+/**
+ * Split a location description into comparable tokens
+ * Unlike utils/text.js tokenize, single letters and digits are kept ("floor 2", "block b")
+ * and ordinals are reduced to their number ("2nd" -> "2").
+ * @param {string} value
+ * @returns {string[]}
+ */
+export const locationTokens = (value) =>
+  String(value || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .replace(/\b(\d+)(st|nd|rd|th)\b/g, "$1")
+    .split(/\s+/)
+    .filter((word) => word && !FILLER_WORDS.has(word));
+
+// Every phrase that identifies a location: its name, its aliases and "building floor"
+const locationPhrases = (location) => {
+  const phrases = [location.name, ...(location.aliases || [])];
+  if (location.floor) phrases.push(`${location.building} ${location.floor}`, `${location.building} floor ${location.floor}`);
+  return phrases.map((phrase) => ({ phrase, tokens: locationTokens(phrase) })).filter((entry) => entry.tokens.length);
+};
+
+/**
+ * Active catalogue entries with their match phrases, cached for CATALOGUE_TTL_MS
+ * @returns {Promise<Array<{ location: object, phrases: Array }>>}
+ */
+export const getLocationCatalogue = async () => {
+  if (catalogueCache && Date.now() - catalogueLoadedAt < CATALOGUE_TTL_MS) return catalogueCache;
+
+  const locations = await CampusLocation.find({ active: true }).lean();
+  catalogueCache = locations.map((location) => ({ location, phrases: locationPhrases(location) }));
+  catalogueLoadedAt = Date.now();
+  return catalogueCache;
+};
+
+// Called after admins edit the catalogue so the change applies to the next report
+export const invalidateLocationCatalogue = () => {
+  catalogueCache = null;
+};
+
+/**
+ * Pick the catalogue entry a description refers to
+ * A phrase matches when all of its words appear in the text; the most specific match (most
+ * words, so "library floor 2" beats "library") wins, and a text that is exactly a phrase wins outright.
+ * @param {string} text
+ * @param {Array} catalogue - from getLocationCatalogue
+ * @returns {{ location: object, matchedPhrase: string }|null}
+ */
+export const matchLocation = (text, catalogue) => {
+  const tokens = locationTokens(text);
+  if (!tokens.length) return null;
+  const textKey = tokens.join(" ");
+  const textTokens = new Set(tokens);
+
+  let best = null;
+  for (const { location, phrases } of catalogue) {
+    for (const { phrase, tokens: phraseTokens } of phrases) {
+      if (!phraseTokens.every((token) => textTokens.has(token))) continue;
+      const score = phraseTokens.join(" ") === textKey ? Infinity : phraseTokens.length;
+      if (!best || score > best.score || (score === best.score && location.name < best.location.name)) {
+        best = { location, matchedPhrase: phrase, score };
+      }
+    }
+  }
+  return best && { location: best.location, matchedPhrase: best.matchedPhrase };
+};
+
+/**
+ * Resolve a free-text location against the catalogue
+ * @returns {Promise<{ location: object, matchedPhrase: string }|null>}
+ */
+export const resolveLocation = async (text) => matchLocation(text, await getLocationCatalogue());
+
+/**
+ * Id of the catalogue entry for a free-text location, for storing on an item
+ * @returns {Promise<object|null>}
+ */
+export const resolveLocationId = async (text) => (await resolveLocation(text))?.location._id || null;
+
+/**
+ * Re-resolve the stored items' locations, e.g. after aliases were added
+ * @param {object} [options]
+ * @param {boolean} [options.all] - Also re-check items that already have a catalogue entry
+ * @returns {Promise<{ lostItems: number, foundItems: number }>} number of items whose entry changed
+ */
+export const backfillItemLocations = async ({ all = false } = {}) => {
+  const catalogue = await getLocationCatalogue();
+  const filter = all ? {} : { campusLocation: null };
+  const result = {};
+
+  for (const [key, model] of [["lostItems", LostItem], ["foundItems", FoundItem]]) {
+    let changed = 0;
+    const cursor = model.find(filter).setOptions({ withDeleted: true }).select("location campusLocation").lean().cursor();
+    for await (const item of cursor) {
+      const campusLocation = matchLocation(item.location, catalogue)?.location._id || null;
+      if (String(campusLocation) === String(item.campusLocation)) continue;
+      await model.updateOne({ _id: item._id }, { $set: { campusLocation } }).setOptions({ withDeleted: true });
+      changed++;
+    }
+    result[key] = changed;
+  }
+  return result;
+};
+
+/**
+ * Lost vs found counts per catalogue location and period, for the hotspot heatmap
+ * Items are placed by when they were lost or found (dateLost / dateFound), not when reported.
+ * @param {object} filters - from parseStatsFilters (from, to, categories, interval)
+ */
+export const locationHeatmap = async ({ from, to, categories, interval }) => {
+  const format = INTERVAL_FORMATS[interval];
+  const pipeline = (dateField) => [
+    {
+      $match: {
+        [dateField]: { $gte: from, $lte: to },
+        ...(categories.length && { category: { $in: categories } }),
+      },
+    },
+    {
+      $group: {
+        _id: { location: "$campusLocation", period: { $dateToString: { format, date: `$${dateField}` } } },
+        count: { $sum: 1 },
+      },
+    },
+  ];
+  const [lostRows, foundRows] = await Promise.all([
+    LostItem.aggregate(pipeline("dateLost")),
+    FoundItem.aggregate(pipeline("dateFound")),
+  ]);
+
+  const cells = new Map();
+  const unresolved = { lost: 0, found: 0 };
+  const periods = new Set();
+  const add = (rows, side) => {
+    for (const { _id, count } of rows) {
+      periods.add(_id.period);
+      if (!_id.location) {
+        unresolved[side] += count;
+        continue;
+      }
+      const key = String(_id.location);
+      const cell = cells.get(key) || cells.set(key, { id: _id.location, lost: 0, found: 0, series: new Map() }).get(key);
+      const point = cell.series.get(_id.period) || cell.series.set(_id.period, { period: _id.period, lost: 0, found: 0 }).get(_id.period);
+      cell[side] += count;
+      point[side] += count;
+    }
+  };
+  add(lostRows, "lost");
+  add(foundRows, "found");
+
+  const locations = await CampusLocation.find({ _id: { $in: [...cells.values()].map((cell) => cell.id) } })
+    .select("name building floor latitude longitude active")
+    .lean();
+  const byId = new Map(locations.map((location) => [String(location._id), location]));
+
+  return {
+    periods: [...periods].sort(),
+    locations: [...cells.values()]
+      .filter((cell) => byId.has(String(cell.id)))
+      .map((cell) => ({
+        location: byId.get(String(cell.id)),
+        lost: cell.lost,
+        found: cell.found,
+        total: cell.lost + cell.found,
+        series: [...cell.series.values()].sort((a, b) => a.period.localeCompare(b.period)),
+      }))
+      .sort((a, b) => b.total - a.total),
+    // Items whose free text matched no catalogue entry
+    unresolved,
+  };
+};
@@ -0,0 +1,196 @@
+// Lost <-> found matching engine
+// Scores candidate pairs and keeps the Match collection in sync whenever an item changes.
+import LostItem from "../models/LostItem.js";
+import FoundItem, { FOUND_ITEM_CLOSED_STATUSES } from "../models/FoundItem.js";
+import Match from "../models/Match.js";
+import { tokenize, tokenSimilarity, stringSimilarity } from "./text.js";
+import { notify } from "./notifications.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Pairs scoring below this are not stored as suggestions
+export const MATCH_MIN_SCORE = Number(process.env.MATCH_MIN_SCORE) || 40;
+// Owners are notified about suggestions scoring at least this
+export const MATCH_NOTIFY_SCORE = Number(process.env.MATCH_NOTIFY_SCORE) || 70;
+
+// How far apart the lost and found dates may be for a pair to be considered
+const FOUND_BEFORE_LOST_TOLERANCE_DAYS = 3;
+const MAX_DAYS_BETWEEN = 90;
+const MAX_CANDIDATES = 200;
+
+const normalizeIdentifier = (value) => String(value || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+/**
+ * Score a lost/found pair out of 100
+ * @returns {{ score: number, reasons: Array<{ factor: string, points: number, detail: string }> }}
+ */
+export const scorePair = (lostItem, foundItem) => {
+  const reasons = [];
+
+  if (lostItem.category && lostItem.category === foundItem.category) {
+    reasons.push({ factor: "category", points: 25, detail: `Both ${lostItem.category}` });
+  }
+
+  const lostText = tokenize(`${lostItem.title} ${lostItem.description} ${lostItem.brand || ""} ${lostItem.color || ""}`);
+  const foundText = tokenize(`${foundItem.title} ${foundItem.description}`);
+  // Descriptions rarely share more than half their words, so full points come at 50% overlap
+  const textScore = Math.min(35, Math.round(tokenSimilarity(lostText, foundText) * 70));
+  if (textScore > 0) {
+    const shared = [...new Set(lostText.filter((token) => foundText.includes(token)))];
+    reasons.push({
+      factor: "text",
+      points: textScore,
+      detail: `Shared words: ${shared.slice(0, 8).join(", ")}`,
+    });
+  }
+
+  const locationScore = Math.round(tokenSimilarity(tokenize(lostItem.location), tokenize(foundItem.location)) * 15);
+  if (locationScore > 0) {
+    reasons.push({
+      factor: "location",
+      points: locationScore,
+      detail: `Lost at "${lostItem.location}", found at "${foundItem.location}"`,
+    });
+  }
+
+  if (lostItem.dateLost && foundItem.dateFound) {
+    const daysBetween = (new Date(foundItem.dateFound) - new Date(lostItem.dateLost)) / DAY_MS;
+    if (daysBetween >= -FOUND_BEFORE_LOST_TOLERANCE_DAYS && daysBetween <= 7) {
+      reasons.push({ factor: "date", points: 10, detail: "Found within a week of being lost" });
+    } else if (daysBetween >= -FOUND_BEFORE_LOST_TOLERANCE_DAYS && daysBetween <= 30) {
+      reasons.push({ factor: "date", points: 5, detail: "Found within a month of being lost" });
+    }
+  }
+
+  const lostId = normalizeIdentifier(lostItem.uniqueIdentifier);
+  const foundId = normalizeIdentifier(foundItem.uniqueIdentifier);
+  if (lostId && foundId) {
+    if (lostId === foundId) {
+      reasons.push({ factor: "uniqueIdentifier", points: 15, detail: "Identifiers match exactly" });
+    } else if (stringSimilarity(lostId, foundId) >= 0.8) {
+      reasons.push({ factor: "uniqueIdentifier", points: 10, detail: "Identifiers are nearly identical" });
+    }
+  }
+
+  const score = Math.min(100, reasons.reduce((sum, reason) => sum + reason.points, 0));
+  return { score, reasons };
+};
+
+// Create, refresh or drop the suggestion for one pair; reviewed pairs are left untouched
+const syncPair = async (lostItem, foundItem) => {
+  const existing = await Match.findOne({ lostItem: lostItem._id, foundItem: foundItem._id });
+  if (existing && existing.status !== "suggested") return null;
+
+  const { score, reasons } = scorePair(lostItem, foundItem);
+
+  if (score < MATCH_MIN_SCORE) {
+    if (existing) await existing.deleteOne();
+    return null;
+  }
+
+  let match = existing;
+  if (match) {
+    match.score = score;
+    match.reasons = reasons;
+  } else {
+    match = new Match({ lostItem: lostItem._id, foundItem: foundItem._id, score, reasons });
+  }
+
+  if (score >= MATCH_NOTIFY_SCORE && !match.ownerNotifiedAt) {
+    await notifyOwner(lostItem, foundItem, score);
+    match.ownerNotifiedAt = new Date();
+  }
+
+  await match.save();
+  return match;
+};
+
+// Tell the lost item's owner about a strong new candidate
+const notifyOwner = (lostItem, foundItem, score) =>
+  notify({ user: lostItem.reportedBy, email: lostItem.contactInfo?.email }, "matchFound", {
+    itemTitle: lostItem.title,
+    foundTitle: foundItem.title,
+    score,
+    itemId: lostItem._id,
+    foundItemId: foundItem._id,
+  });
+
+const isLostItemOpen = (lostItem) => !lostItem.status || lostItem.status === "active";
+const isFoundItemOpen = (foundItem) => !FOUND_ITEM_CLOSED_STATUSES.includes(foundItem.status);
+
+/**
+ * Re-score a lost item against all open found items
+ * @returns {Promise<Array>} suggested matches for the item
+ */
+export const matchLostItem = async (lostItem) => {
+  if (!isLostItemOpen(lostItem)) {
+    await Match.deleteMany({ lostItem: lostItem._id, status: "suggested" });
+    return [];
+  }
+
+  const dateLost = new Date(lostItem.dateLost);
+  const candidates = await FoundItem.find({
+    status: { $nin: FOUND_ITEM_CLOSED_STATUSES },
+    dateFound: {
+      $gte: new Date(dateLost.getTime() - FOUND_BEFORE_LOST_TOLERANCE_DAYS * DAY_MS),
+      $lte: new Date(dateLost.getTime() + MAX_DAYS_BETWEEN * DAY_MS),
+    },
+  })
+    .sort({ dateFound: -1 })
+    .limit(MAX_CANDIDATES);
+
+  const candidateIds = candidates.map((candidate) => candidate._id);
+  await Match.deleteMany({ lostItem: lostItem._id, status: "suggested", foundItem: { $nin: candidateIds } });
+
+  const matches = [];
+  for (const foundItem of candidates) {
+    const match = await syncPair(lostItem, foundItem);
+    if (match) matches.push(match);
+  }
+  return matches;
+};
+
+/**
+ * Re-score a found item against all open lost items
+ * @returns {Promise<Array>} suggested matches for the item
+ */
+export const matchFoundItem = async (foundItem) => {
+  if (!isFoundItemOpen(foundItem)) {
+    await Match.deleteMany({ foundItem: foundItem._id, status: "suggested" });
+    return [];
+  }
+
+  const dateFound = new Date(foundItem.dateFound);
+  const candidates = await LostItem.find({
+    status: "active",
+    dateLost: {
+      $gte: new Date(dateFound.getTime() - MAX_DAYS_BETWEEN * DAY_MS),
+      $lte: new Date(dateFound.getTime() + FOUND_BEFORE_LOST_TOLERANCE_DAYS * DAY_MS),
+    },
+  })
+    .sort({ dateLost: -1 })
+    .limit(MAX_CANDIDATES);
+
+  const candidateIds = candidates.map((candidate) => candidate._id);
+  await Match.deleteMany({ foundItem: foundItem._id, status: "suggested", lostItem: { $nin: candidateIds } });
+
+  const matches = [];
+  for (const lostItem of candidates) {
+    const match = await syncPair(lostItem, foundItem);
+    if (match) matches.push(match);
+  }
+  return matches;
+};
+
+/**
+ * Run matching after a request has been answered; failures are logged, never thrown
+ * @param {"lost"|"found"} type
+ */
+export const scheduleMatching = (type, item) => {
+  const run = type === "lost" ? matchLostItem : matchFoundItem;
+  setImmediate(() => {
+    run(item).catch((error) => {
+      console.error(`Error matching ${type} item ${item._id}:`, error);
+    });
+  });
+};
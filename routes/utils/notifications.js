@@ -0,0 +1,46 @@
+// Notification dispatcher: every event lands in the recipient's in-app inbox,
+// and is also emailed unless the user switched that event off.
+import Notification from "../models/Notification.js";
+import User from "../models/User.js";
+import { renderTemplate } from "./emailTemplates.js";
+import { enqueueEmail } from "./outbox.js";
+
+/**
+ * Notify a user (or an anonymous email address) about an event
+ * @param {{ user?: object|string|null, email?: string|null }} recipient - Registered user (doc or id) and/or fallback address
+ * @param {string} type - Notification type from NOTIFICATION_TYPES
+ * @param {object} data - Template values, also stored on the notification (e.g. claimId, itemId)
+ */
+export const notify = async ({ user, email } = {}, type, data = {}) => {
+  const userId = user?._id || user || null;
+  const recipient = userId
+    ? await User.findById(userId).select("name email notificationPreferences")
+    : null;
+
+  const { title, summary, link } = renderTemplate(type, { name: recipient?.name, ...data });
+
+  if (recipient) {
+    const { name, ...details } = data;
+    await Notification.create({
+      user: recipient._id,
+      type,
+      title,
+      message: summary,
+      link,
+      data: details,
+    });
+  }
+
+  if (!recipient || recipient.wantsEmail(type)) {
+    enqueueEmail(type, recipient?.email || email, { name: recipient?.name, ...data });
+  }
+};
+
+/**
+ * Fire-and-forget variant of notify for use inside route handlers
+ */
+export const dispatchNotification = (recipient, type, data = {}) => {
+  notify(recipient, type, data).catch((error) => {
+    console.error(`Error sending "${type}" notification:`, error);
+  });
+};
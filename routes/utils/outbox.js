@@ -0,0 +1,105 @@
+// Email outbox: emails are persisted first and delivered by a background worker,
+// so a slow or failing SMTP server never breaks the request that triggered them.
+import EmailOutbox from "../models/EmailOutbox.js";
+import { sendEmail } from "../../config/email.js";
+import { renderTemplate } from "./emailTemplates.js";
+
+const POLL_INTERVAL_MS = Number(process.env.EMAIL_OUTBOX_INTERVAL_MS) || 30 * 1000;
+const BATCH_SIZE = 20;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+// Messages stuck in "sending" this long (e.g. after a crash) are picked up again
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+let processing = false;
+let workerTimer = null;
+
+/**
+ * Queue a templated email for delivery
+ * @param {string} template - Template name from emailTemplates.js
+ * @param {string} to - Recipient address
+ * @param {object} data - Template values
+ * @returns {Promise<object|null>} the outbox entry, or null when there is no recipient
+ */
+export const queueEmail = async (template, to, data = {}) => {
+  if (!to) return null;
+
+  const { subject, text, html } = renderTemplate(template, data);
+  const entry = await EmailOutbox.create({ to, subject, text, html, template });
+
+  // Try straight away; the worker picks up anything that fails
+  setImmediate(() => {
+    processOutbox().catch((error) => console.error("Error processing email outbox:", error));
+  });
+
+  return entry;
+};
+
+/**
+ * Fire-and-forget variant of queueEmail for use inside route handlers
+ */
+export const enqueueEmail = (template, to, data = {}) => {
+  queueEmail(template, to, data).catch((error) => {
+    console.error(`Error queueing "${template}" email:`, error);
+  });
+};
+
+const backoffFor = (attempts) => Math.min(MAX_BACKOFF_MS, 2 ** attempts * 60 * 1000);
+
+const deliver = async (entry) => {
+  try {
+    await sendEmail({ to: entry.to, subject: entry.subject, text: entry.text, html: entry.html });
+    entry.status = "sent";
+    entry.sentAt = new Date();
+    entry.lastError = null;
+  } catch (error) {
+    entry.lastError = error.message;
+    if (entry.attempts >= entry.maxAttempts) {
+      entry.status = "failed";
+    } else {
+      entry.status = "queued";
+      entry.nextAttemptAt = new Date(Date.now() + backoffFor(entry.attempts));
+    }
+  }
+  entry.lockedAt = null;
+  await entry.save();
+};
+
+/**
+ * Deliver every queued email that is due
+ */
+export const processOutbox = async () => {
+  if (processing) return;
+  processing = true;
+
+  try {
+    await EmailOutbox.updateMany(
+      { status: "sending", lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) } },
+      { $set: { status: "queued", lockedAt: null } }
+    );
+
+    for (let i = 0; i < BATCH_SIZE; i++) {
+      // Lock one message at a time so several server instances never send the same email
+      const entry = await EmailOutbox.findOneAndUpdate(
+        { status: "queued", nextAttemptAt: { $lte: new Date() } },
+        { $set: { status: "sending", lockedAt: new Date() }, $inc: { attempts: 1 } },
+        { new: true, sort: { nextAttemptAt: 1 } }
+      );
+      if (!entry) break;
+      await deliver(entry);
+    }
+  } finally {
+    processing = false;
+  }
+};
+
+/**
+ * Start polling the outbox in the background
+ */
+export const startOutboxWorker = () => {
+  if (workerTimer) return;
+  workerTimer = setInterval(() => {
+    processOutbox().catch((error) => console.error("Error processing email outbox:", error));
+  }, POLL_INTERVAL_MS);
+  workerTimer.unref();
+  console.log(`📧 Email outbox worker started (every ${Math.round(POLL_INTERVAL_MS / 1000)}s)`);
+};
@@ -0,0 +1,177 @@
+// Shared list contract for every collection endpoint:
+//   ?limit=&page=        offset pagination with total counts
+//   ?limit=&cursor=      keyset pagination (stable while new records arrive)
+//   ?sort=field|-field   whitelisted per endpoint, "-" for descending
+// Responses carry { pagination: { limit, total, page, totalPages, hasMore, nextCursor, next } }.
+import mongoose from "mongoose";
+import { escapeRegex } from "./text.js";
+
+export const DEFAULT_PAGE_LIMIT = 20;
+export const MAX_PAGE_LIMIT = 100;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const encodeCursor = (value, id) => {
+  const isDate = value instanceof Date;
+  const payload = { v: isDate ? value.toISOString() : value, d: isDate || undefined, id: String(id) };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const { v, d, id } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!mongoose.Types.ObjectId.isValid(id)) throw new Error("bad id");
+    return { value: d ? new Date(v) : v, id: new mongoose.Types.ObjectId(id) };
+  } catch (_) {
+    throw badRequest("Invalid cursor");
+  }
+};
+
+// Read a (possibly nested) path from a plain document
+const valueAt = (doc, path) => path.split(".").reduce((value, key) => value?.[key], doc);
+
+/**
+ * Parse ?limit and ?page
+ * @returns {{ limit: number, page: number, skip: number }}
+ */
+export const parsePageParams = (query) => {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_LIMIT, 1), MAX_PAGE_LIMIT);
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  return { limit, page, skip: (page - 1) * limit };
+};
+
+/**
+ * Parse ?sort against the endpoint's whitelist
+ * @returns {{ field: string, direction: 1|-1 }}
+ */
+export const parseSort = (sort, sortFields, defaultSort = "-createdAt") => {
+  const raw = String(sort || defaultSort).trim();
+  const direction = raw.startsWith("-") ? -1 : 1;
+  const field = raw.replace(/^[-+]/, "");
+  if (!sortFields.includes(field)) {
+    throw badRequest(`Invalid sort field. Allowed: ${sortFields.join(", ")}`);
+  }
+  return { field, direction };
+};
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw badRequest(`Invalid ${name} date`);
+  return date;
+};
+
+export const parseObjectId = (value, name) => {
+  if (!mongoose.Types.ObjectId.isValid(value)) throw badRequest(`Invalid ${name}`);
+  return new mongoose.Types.ObjectId(value);
+};
+
+// "a,b" -> { $in: ["a", "b"] }, "a" -> "a"
+const listValue = (value) => {
+  const values = String(value).split(",").map((part) => part.trim()).filter(Boolean);
+  return values.length > 1 ? { $in: values } : values[0];
+};
+
+/**
+ * Build the common field filters from the query string
+ * Query: category, status (comma-separated for several), location (substring), reporter (user id), dateFrom, dateTo
+ * @param {object} query - req.query
+ * @param {object} fields - Which document fields the filters map onto for this collection
+ * @param {string} [fields.dateField] - e.g. "dateLost"
+ * @param {string} [fields.reporterField] - e.g. "reportedBy"
+ * @param {string} [fields.locationField] - defaults to "location"
+ * @param {boolean} [fields.category] - set false where the collection has no category
+ */
+export const buildListFilters = (query, { dateField = "createdAt", reporterField = null, locationField = "location", category = true } = {}) => {
+  const filter = {};
+
+  if (category && query.category) filter.category = listValue(query.category);
+  if (query.status) filter.status = listValue(query.status);
+  if (locationField && query.location) {
+    filter[locationField] = { $regex: escapeRegex(String(query.location)), $options: "i" };
+  }
+  if (reporterField && query.reporter) filter[reporterField] = parseObjectId(query.reporter, "reporter");
+  if (dateField && (query.dateFrom || query.dateTo)) {
+    filter[dateField] = {};
+    if (query.dateFrom) filter[dateField].$gte = parseDate(query.dateFrom, "dateFrom");
+    if (query.dateTo) filter[dateField].$lte = parseDate(query.dateTo, "dateTo");
+  }
+
+  return filter;
+};
+
+// Link to the next page, keeping every other query parameter
+export const nextLink = (req, params) => {
+  const search = new URLSearchParams();
+  for (const [key, value] of Object.entries(req.query)) {
+    if (key === "page" || key === "cursor" || typeof value !== "string") continue;
+    search.set(key, value);
+  }
+  for (const [key, value] of Object.entries(params)) search.set(key, value);
+  return `${req.baseUrl}${req.path === "/" ? "" : req.path}?${search.toString()}`;
+};
+
+/**
+ * Run a paginated, sorted find for a list endpoint
+ * @param {mongoose.Model} model
+ * @param {object} filter - Mongo filter (already includes access restrictions)
+ * @param {object} req - Express request (limit/page/cursor/sort are read from req.query)
+ * @param {object} options
+ * @param {string[]} options.sortFields - Whitelisted sort fields
+ * @param {string} [options.defaultSort] - e.g. "-createdAt"
+ * @param {boolean} [options.allowCursor] - false where keyset paging makes no sense (e.g. combined results)
+ * @param {function} [options.build] - Adds populate/select to the query, e.g. (q) => q.populate("foundBy", "name")
+ * @returns {Promise<{ items: Array, pagination: object }>}
+ */
+export const paginate = async (model, filter, req, { sortFields, defaultSort = "-createdAt", allowCursor = true, build = (q) => q } = {}) => {
+  const { limit, ...pageParams } = parsePageParams(req.query);
+  const { field, direction } = parseSort(req.query.sort, sortFields, defaultSort);
+  const sort = { [field]: direction, _id: direction };
+  const useCursor = allowCursor && Boolean(req.query.cursor);
+
+  let pageFilter = filter;
+  let page = null;
+  let skip = 0;
+  if (useCursor) {
+    const cursor = decodeCursor(req.query.cursor);
+    const op = direction === -1 ? "$lt" : "$gt";
+    const after = { $or: [{ [field]: { [op]: cursor.value } }, { [field]: cursor.value, _id: { [op]: cursor.id } }] };
+    pageFilter = { $and: [filter, after] };
+  } else {
+    ({ page, skip } = pageParams);
+  }
+
+  // Fetch one extra record to learn whether another page exists
+  const [records, total] = await Promise.all([
+    build(model.find(pageFilter)).sort(sort).skip(skip).limit(limit + 1),
+    model.countDocuments(filter),
+  ]);
+
+  const hasMore = records.length > limit;
+  const items = hasMore ? records.slice(0, limit) : records;
+  const last = items[items.length - 1];
+  let nextCursor = null;
+  if (hasMore && allowCursor) {
+    const plain = typeof last.toObject === "function" ? last.toObject({ depopulate: true }) : last;
+    nextCursor = encodeCursor(valueAt(plain, field), last._id);
+  }
+
+  let next = null;
+  if (hasMore) next = useCursor ? nextLink(req, { cursor: nextCursor }) : nextLink(req, { page: String(page + 1) });
+
+  return {
+    items,
+    pagination: {
+      limit,
+      total,
+      page,
+      totalPages: Math.ceil(total / limit),
+      hasMore,
+      nextCursor,
+      next,
+    },
+  };
+};
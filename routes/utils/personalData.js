@@ -0,0 +1,198 @@
+// Personal data requests: the export bundle behind GET /api/auth/me/export and the anonymization
+// behind DELETE /api/auth/me. Anonymized accounts are kept (not deleted) so the lost reports, found
+// items and claims that point at them still resolve; only the identifying details are removed.
+import crypto from "crypto";
+import User from "../models/User.js";
+import LostItem from "../models/LostItem.js";
+import FoundItem from "../models/FoundItem.js";
+import Claim, { CLAIM_OPEN_STATUSES } from "../models/Claim.js";
+import ClaimMessage from "../models/ClaimMessage.js";
+import ContactThread from "../models/ContactThread.js";
+import Notification from "../models/Notification.js";
+import PasswordResetRequest from "../models/PasswordResetRequest.js";
+import RefreshToken from "../models/RefreshToken.js";
+import SavedSearch from "../models/SavedSearch.js";
+import AuditLog from "../models/AuditLog.js";
+import { revokeUserSessions } from "./tokens.js";
+import { recordAudit } from "./audit.js";
+import { createZip } from "./zip.js";
+
+export const ANONYMIZED_NAME = "Deleted user";
+// Found items require a contact email and phone; these stand in once the finder is anonymized
+const ANONYMIZED_PHONE = "0000000000";
+
+export const anonymizedEmail = (userId) => `deleted-${userId}@anonymized.invalid`;
+
+// Plain JSON copies without Mongo internals
+const plain = (docs) => JSON.parse(JSON.stringify(docs, (key, value) => (key === "__v" ? undefined : value)));
+
+/**
+ * Collect everything stored about a user
+ * @param {object} user - User document
+ * @returns {Promise<object>} one array (or object) per kind of record
+ */
+export const buildPersonalDataExport = async (user) => {
+  const userId = user._id;
+  const [profile, lostItems, foundItems, claims, claimMessages, passwordResetRequests, notifications, savedSearches, contactThreads, activity] =
+    await Promise.all([
+      User.findById(userId).select("-password -tokenVersion").lean(),
+      LostItem.find({ reportedBy: userId }).setOptions({ withDeleted: true }).sort({ createdAt: 1 }).lean(),
+      FoundItem.find({ foundBy: userId }).setOptions({ withDeleted: true }).sort({ createdAt: 1 }).lean(),
+      Claim.find({ claimant: userId })
+        .populate({ path: "item", select: "title uniqueIdentifier category", options: { withDeleted: true } })
+        .sort({ createdAt: 1 })
+        .lean(),
+      ClaimMessage.find({ author: userId }).sort({ createdAt: 1 }).lean(),
+      PasswordResetRequest.find({ user: userId }).select("-codeHash").sort({ createdAt: 1 }).lean(),
+      Notification.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+      SavedSearch.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+      ContactThread.find({ $or: [{ initiator: userId }, { recipient: userId }] }).sort({ createdAt: 1 }).lean(),
+      AuditLog.find({ actor: userId }).select("action targetType targetId metadata ip userAgent createdAt").sort({ createdAt: 1 }).lean(),
+    ]);
+
+  return plain({
+    exportedAt: new Date(),
+    profile,
+    lostItems,
+    foundItems,
+    claims,
+    claimMessages,
+    passwordResetRequests,
+    notifications,
+    savedSearches,
+    contactThreads,
+    activity,
+  });
+};
+
+// File names inside the ZIP bundle, one JSON file per section
+const EXPORT_FILES = {
+  profile: "profile.json",
+  lostItems: "lost-items.json",
+  foundItems: "found-items.json",
+  claims: "claims.json",
+  claimMessages: "claim-messages.json",
+  passwordResetRequests: "password-reset-requests.json",
+  notifications: "notifications.json",
+  savedSearches: "saved-searches.json",
+  contactThreads: "contact-threads.json",
+  activity: "activity.json",
+};
+
+/**
+ * Pack an export (from buildPersonalDataExport) as a ZIP with one JSON file per section
+ * @returns {Buffer}
+ */
+export const personalDataZip = (data) => {
+  const readme = [
+    `Personal data export generated ${data.exportedAt}.`,
+    "",
+    ...Object.entries(EXPORT_FILES).map(([section, file]) => {
+      const value = data[section];
+      return `${file}: ${Array.isArray(value) ? `${value.length} record(s)` : "account details"}`;
+    }),
+    "",
+  ].join("\n");
+
+  return createZip([
+    { name: "README.txt", content: readme },
+    ...Object.entries(EXPORT_FILES).map(([section, file]) => ({ name: file, content: JSON.stringify(data[section], null, 2) })),
+  ]);
+};
+
+/**
+ * Reasons the account cannot be anonymized yet
+ * @returns {Promise<string|null>} message for the user, or null when nothing blocks it
+ */
+export const anonymizationBlocker = async (user) => {
+  if (user.role !== "user") {
+    return "Staff and admin accounts must be removed by an administrator";
+  }
+  const pendingHandover = await Claim.exists({
+    claimant: user._id,
+    status: "approved",
+    "pickup.status": { $nin: ["completed", "cancelled", null] },
+  });
+  if (pendingHandover) {
+    return "You have an approved claim waiting for collection; collect the item or contact the desk first";
+  }
+  return null;
+};
+
+// Open claims are withdrawn; an item left without open claims goes back into storage
+const withdrawOpenClaims = async (userId) => {
+  const claims = await Claim.find({ claimant: userId, status: { $in: CLAIM_OPEN_STATUSES } }).populate("item");
+  for (const claim of claims) {
+    claim.status = "rejected";
+    claim.reviewedAt = new Date();
+    claim.reviewNotes = "Withdrawn: the claimant deleted their account";
+    await claim.save();
+
+    const foundItem = claim.item;
+    if (foundItem?.status !== "claim_pending") continue;
+    const stillOpen = await Claim.exists({ item: foundItem._id, status: { $in: [...CLAIM_OPEN_STATUSES, "approved"] } });
+    if (!stillOpen && foundItem.canTransitionTo("in_storage")) {
+      foundItem.transitionTo("in_storage", null, "Claim withdrawn");
+      await foundItem.save();
+    }
+  }
+  return claims.length;
+};
+
+/**
+ * Remove a user's identifying details while keeping their records linked to the account
+ * The audit trail is append-only and is left as it is.
+ * @param {object} user - User document
+ * @returns {Promise<object>} counts of the records touched
+ */
+export const anonymizeUser = async (user) => {
+  const userId = user._id;
+  const email = anonymizedEmail(userId);
+  const withDeleted = { withDeleted: true };
+
+  await revokeUserSessions(userId, "account_deleted");
+
+  const withdrawnClaims = await withdrawOpenClaims(userId);
+  const lostItems = await LostItem.updateMany(
+    { reportedBy: userId },
+    { $set: { "contactInfo.email": null, "contactInfo.phone": null } }
+  ).setOptions(withDeleted);
+  const closedLostItems = await LostItem.updateMany({ reportedBy: userId, status: "active" }, { $set: { status: "closed" } });
+  const foundItems = await FoundItem.updateMany(
+    { foundBy: userId },
+    { $set: { contactEmail: email, contactPhone: ANONYMIZED_PHONE } }
+  ).setOptions(withDeleted);
+  const claims = await Claim.updateMany({ claimant: userId }, { $set: { claimantName: ANONYMIZED_NAME, claimantEmail: null } });
+
+  await RefreshToken.deleteMany({ user: userId });
+  await Notification.deleteMany({ user: userId });
+  await SavedSearch.deleteMany({ user: userId });
+  await PasswordResetRequest.deleteMany({ user: userId });
+  // The other participant keeps the conversation; the leaver's side shows as a deleted user
+  const initiatedThreads = await ContactThread.updateMany({ initiator: userId }, { $set: { initiator: null } });
+  const receivedThreads = await ContactThread.updateMany({ recipient: userId }, { $set: { recipient: null } });
+
+  user.name = ANONYMIZED_NAME;
+  user.email = email;
+  user.studentId = null;
+  user.phone = null;
+  // Random password nobody knows, so the account can never be signed into again
+  user.password = crypto.randomBytes(32).toString("hex");
+  user.emailVerified = false;
+  user.emailVerificationTokenHash = null;
+  user.emailVerificationExpiresAt = null;
+  user.anonymizedAt = new Date();
+  await user.save();
+
+  const result = {
+    lostItems: lostItems.modifiedCount,
+    closedLostItems: closedLostItems.modifiedCount,
+    foundItems: foundItems.modifiedCount,
+    claims: claims.matchedCount,
+    withdrawnClaims,
+    contactThreads: initiatedThreads.modifiedCount + receivedThreads.modifiedCount,
+  };
+  // Recorded against the anonymized account so the entry itself holds no personal details
+  await recordAudit(null, { action: "user.anonymize", targetType: "User", targetId: userId, metadata: result, actor: user });
+  return result;
+};
@@ -0,0 +1,119 @@
+// Trash purge: soft-deleted records are removed for good once they have sat in the trash
+// longer than TRASH_RETENTION_DAYS, together with their images and dependent records.
+import LostItem from "../models/LostItem.js";
+import FoundItem from "../models/FoundItem.js";
+import User from "../models/User.js";
+import Claim from "../models/Claim.js";
+import ClaimMessage from "../models/ClaimMessage.js";
+import ContactThread from "../models/ContactThread.js";
+import Match from "../models/Match.js";
+import Notification from "../models/Notification.js";
+import RefreshToken from "../models/RefreshToken.js";
+import SavedSearch from "../models/SavedSearch.js";
+import { destroyImages } from "../../config/cloudinary.js";
+import { recordAudit } from "./audit.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const PURGE_INTERVAL_MS = Number(process.env.TRASH_PURGE_INTERVAL_MS) || DAY_MS;
+
+let purging = false;
+let purgeTimer = null;
+
+const expiredQuery = () => ({
+  deletedAt: { $ne: null, $lte: new Date(Date.now() - TRASH_RETENTION_DAYS * DAY_MS) },
+});
+
+// Image failures are logged so one missing asset never blocks the rest of the purge
+const destroyItemImages = async (urls) => {
+  try {
+    await destroyImages(urls.filter(Boolean));
+  } catch (error) {
+    console.error("Error deleting images from Cloudinary:", error);
+  }
+};
+
+const purgeLostItems = async () => {
+  const items = await LostItem.find(expiredQuery()).setOptions({ withDeleted: true });
+  for (const item of items) {
+    await destroyItemImages([...(item.images || []), item.foundVerification?.image, item.foundReport?.image]);
+    await Match.deleteMany({ lostItem: item._id });
+    await ContactThread.deleteMany({ item: item._id });
+    await item.deleteOne();
+    await recordAudit(null, { action: "lostItem.purge", targetType: "LostItem", targetId: item._id, metadata: { title: item.title } });
+  }
+  return items.length;
+};
+
+const purgeFoundItems = async () => {
+  const items = await FoundItem.find(expiredQuery()).setOptions({ withDeleted: true });
+  for (const item of items) {
+    await destroyItemImages(item.images || []);
+    await Match.deleteMany({ foundItem: item._id });
+    await ContactThread.deleteMany({ item: item._id });
+    const claims = await Claim.find({ item: item._id }).select("attachments pickup.signatureUrl");
+    await destroyItemImages(
+      claims.flatMap((claim) => [...claim.attachments.map((attachment) => attachment.url), claim.pickup?.signatureUrl])
+    );
+    await ClaimMessage.deleteMany({ claim: { $in: claims.map((claim) => claim._id) } });
+    await Claim.deleteMany({ item: item._id });
+    await item.deleteOne();
+    await recordAudit(null, { action: "foundItem.purge", targetType: "FoundItem", targetId: item._id, metadata: { title: item.title } });
+  }
+  return items.length;
+};
+
+const purgeUsers = async () => {
+  const users = await User.find(expiredQuery()).setOptions({ withDeleted: true });
+  for (const user of users) {
+    await RefreshToken.deleteMany({ user: user._id });
+    await Notification.deleteMany({ user: user._id });
+    await SavedSearch.deleteMany({ user: user._id });
+    await ContactThread.deleteMany({ $or: [{ initiator: user._id }, { recipient: user._id }] });
+    // Reports and claims outlive their author; they just lose the link to the account
+    await LostItem.updateMany({ reportedBy: user._id }, { $set: { reportedBy: null } }).setOptions({ withDeleted: true });
+    await FoundItem.updateMany({ foundBy: user._id }, { $set: { foundBy: null } }).setOptions({ withDeleted: true });
+    await Claim.updateMany({ claimant: user._id }, { $set: { claimant: null } });
+    await ClaimMessage.updateMany({ author: user._id }, { $set: { author: null } });
+    await user.deleteOne();
+    await recordAudit(null, { action: "user.purge", targetType: "User", targetId: user._id, metadata: { email: user.email } });
+  }
+  return users.length;
+};
+
+/**
+ * Permanently delete everything that has been in the trash longer than the retention period
+ * @returns {Promise<{ lostItems: number, foundItems: number, users: number }>}
+ */
+export const purgeTrash = async () => {
+  if (purging) return null;
+  purging = true;
+
+  try {
+    const result = {
+      lostItems: await purgeLostItems(),
+      foundItems: await purgeFoundItems(),
+      users: await purgeUsers(),
+    };
+    if (result.lostItems || result.foundItems || result.users) {
+      console.log(
+        `🗑️  Trash purged: ${result.lostItems} lost item(s), ${result.foundItems} found item(s), ${result.users} user(s)`
+      );
+    }
+    return result;
+  } finally {
+    purging = false;
+  }
+};
+
+/**
+ * Run the purge once now and then on a fixed interval in the background
+ */
+export const startTrashPurgeJob = () => {
+  if (purgeTimer) return;
+  const run = () => purgeTrash().catch((error) => console.error("Error purging trash:", error));
+  setImmediate(run);
+  purgeTimer = setInterval(run, PURGE_INTERVAL_MS);
+  purgeTimer.unref();
+  console.log(`🗑️  Trash purge job started (retention ${TRASH_RETENTION_DAYS} days)`);
+};
@@ -0,0 +1,177 @@
+// Retention of unclaimed property: found items past their category's retention period are
+// queued for disposal (after warning the finder and anyone whose lost report matches them),
+// and lost reports past their period are closed. Policies live in RetentionPolicy.
+import FoundItem from "../models/FoundItem.js";
+import LostItem from "../models/LostItem.js";
+import Match from "../models/Match.js";
+import RetentionPolicy from "../models/RetentionPolicy.js";
+import { notify } from "./notifications.js";
+import { recordAudit } from "./audit.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RETENTION_CHECK_INTERVAL_MS = Number(process.env.RETENTION_CHECK_INTERVAL_MS) || 6 * 60 * 60 * 1000;
+
+// Found items still waiting at the desk; claimed items are not aged while the claim is open
+const AGEING_STATUSES = ["received", "in_storage"];
+
+let running = false;
+let retentionTimer = null;
+
+const later = (a, b) => (b && b > a ? b : a);
+
+// Notification failures are logged so one bad address never stops the run
+const safeNotify = async (recipient, type, data) => {
+  try {
+    await notify(recipient, type, data);
+  } catch (error) {
+    console.error(`Error sending "${type}" notification:`, error);
+  }
+};
+
+/**
+ * Deadline of a found item: retention days after it was logged, or the end of a staff extension
+ */
+export const foundItemDeadline = (item, policy) =>
+  later(new Date(item.createdAt.getTime() + policy.days * DAY_MS), item.retention?.holdUntil);
+
+// Warn the finder, and the reporters of lost items that match it, that the item will be disposed of
+const warnAboutFoundItem = async (item, dueAt) => {
+  const data = { itemType: "found", itemTitle: item.title, dueAt, itemId: item._id };
+  if (item.foundBy || item.contactEmail) {
+    await safeNotify({ user: item.foundBy, email: item.contactEmail }, "retentionWarning", { ...data, audience: "finder" });
+  }
+
+  const matches = await Match.find({ foundItem: item._id, status: { $in: ["suggested", "confirmed"] } })
+    .populate("lostItem", "reportedBy contactInfo status");
+  for (const match of matches) {
+    const lostItem = match.lostItem;
+    if (!lostItem || lostItem.status !== "active") continue;
+    await safeNotify(
+      { user: lostItem.reportedBy, email: lostItem.contactInfo?.email },
+      "retentionWarning",
+      { ...data, audience: "owner", lostItemId: lostItem._id }
+    );
+  }
+};
+
+const processFoundItems = async (policies, now) => {
+  const result = { warned: 0, queued: 0 };
+
+  for (const [category, policy] of policies) {
+    const candidates = await FoundItem.find({
+      category,
+      status: { $in: AGEING_STATUSES },
+      createdAt: { $lte: new Date(now.getTime() - (policy.days - policy.warningDays) * DAY_MS) },
+    });
+
+    for (const item of candidates) {
+      // An item that fails (e.g. legacy data no longer valid) is logged and skipped; the rest still run
+      try {
+        const dueAt = foundItemDeadline(item, policy);
+        if (dueAt <= now) {
+          const before = item.toObject();
+          item.transitionTo("pending_disposal", null, `Unclaimed after the ${policy.days}-day retention period`);
+          item.retention.queuedAt = now;
+          item.retention.dueAt = dueAt;
+          await item.save();
+          await recordAudit(null, { action: "foundItem.retention.queue", targetType: "FoundItem", before, after: item });
+          result.queued += 1;
+        } else if (!item.retention?.warnedAt && dueAt.getTime() - policy.warningDays * DAY_MS <= now.getTime()) {
+          item.retention.warnedAt = now;
+          item.retention.dueAt = dueAt;
+          await item.save();
+          await warnAboutFoundItem(item, dueAt);
+          result.warned += 1;
+        }
+      } catch (error) {
+        console.error(`Error applying retention to found item ${item._id}:`, error);
+      }
+    }
+  }
+
+  return result;
+};
+
+const processLostItems = async (policies, now) => {
+  const result = { warned: 0, expired: 0 };
+
+  for (const [category, policy] of policies) {
+    if (!policy.lostReportDays) continue;
+    const warningDays = Math.min(policy.warningDays, policy.lostReportDays - 1);
+    const candidates = await LostItem.find({
+      category,
+      status: "active",
+      createdAt: { $lte: new Date(now.getTime() - (policy.lostReportDays - warningDays) * DAY_MS) },
+    });
+
+    for (const item of candidates) {
+      try {
+        const dueAt = new Date(item.createdAt.getTime() + policy.lostReportDays * DAY_MS);
+        const recipient = { user: item.reportedBy, email: item.contactInfo?.email };
+        const data = { itemType: "lost", itemTitle: item.title, dueAt, itemId: item._id };
+
+        if (dueAt <= now) {
+          const before = item.toObject();
+          item.status = "closed";
+          item.retention.expiredAt = now;
+          item.retention.dueAt = dueAt;
+          await item.save();
+          await recordAudit(null, { action: "lostItem.retention.expire", targetType: "LostItem", before, after: item });
+          if (recipient.user || recipient.email) await safeNotify(recipient, "lostReportExpired", data);
+          result.expired += 1;
+        } else if (!item.retention?.warnedAt) {
+          item.retention.warnedAt = now;
+          item.retention.dueAt = dueAt;
+          await item.save();
+          if (recipient.user || recipient.email) await safeNotify(recipient, "retentionWarning", { ...data, audience: "reporter" });
+          result.warned += 1;
+        }
+      } catch (error) {
+        console.error(`Error applying retention to lost item ${item._id}:`, error);
+      }
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Apply the retention policies once: warn about upcoming deadlines, queue overdue found items
+ * for disposal and close overdue lost reports
+ * @returns {Promise<{ foundItems: { warned: number, queued: number }, lostItems: { warned: number, expired: number } }|null>}
+ *   null when a run is already in progress
+ */
+export const runRetention = async (now = new Date()) => {
+  if (running) return null;
+  running = true;
+
+  try {
+    const policies = await RetentionPolicy.resolveAll();
+    const result = {
+      foundItems: await processFoundItems(policies, now),
+      lostItems: await processLostItems(policies, now),
+    };
+    const { foundItems, lostItems } = result;
+    if (foundItems.warned || foundItems.queued || lostItems.warned || lostItems.expired) {
+      console.log(
+        `📦 Retention: ${foundItems.queued} item(s) queued for disposal, ${lostItems.expired} lost report(s) closed, ` +
+          `${foundItems.warned + lostItems.warned} warning(s) sent`
+      );
+    }
+    return result;
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Run the retention check once now and then on a fixed interval in the background
+ */
+export const startRetentionJob = () => {
+  if (retentionTimer) return;
+  const run = () => runRetention().catch((error) => console.error("Error applying retention policies:", error));
+  setImmediate(run);
+  retentionTimer = setInterval(run, RETENTION_CHECK_INTERVAL_MS);
+  retentionTimer.unref();
+  console.log("📦 Retention job started");
+};
@@ -0,0 +1,140 @@
+// Saved search alerts: every newly logged found item is checked against the active saved
+// searches, using the same text search, synonyms and typo handling as /api/search.
+import FoundItem from "../models/FoundItem.js";
+import SavedSearch from "../models/SavedSearch.js";
+import { expandSearchQuery } from "./search.js";
+import { escapeRegex } from "./text.js";
+import { notify } from "./notifications.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DIGEST_CHECK_INTERVAL_MS = Number(process.env.SAVED_SEARCH_DIGEST_INTERVAL_MS) || 60 * 60 * 1000;
+// Items listed in one digest; the rest are summarised as a count
+const DIGEST_MAX_ITEMS = 20;
+
+let digestTimer = null;
+
+/**
+ * Display name for a saved search in alerts
+ */
+export const savedSearchLabel = (savedSearch) =>
+  savedSearch.name || (savedSearch.query ? `"${savedSearch.query}"` : savedSearch.filters?.category || "your saved search");
+
+/**
+ * Build the Mongo filter a saved search applies to found items
+ * @param {object} savedSearch
+ * @returns {Promise<object>}
+ */
+export const buildSavedSearchFilter = async (savedSearch) => {
+  const { category, location, dateFrom, dateTo } = savedSearch.filters || {};
+  const filter = {};
+
+  if (category) filter.category = category;
+  if (location) filter.location = { $regex: escapeRegex(location), $options: "i" };
+  if (dateFrom || dateTo) {
+    filter.dateFound = {};
+    if (dateFrom) filter.dateFound.$gte = dateFrom;
+    if (dateTo) filter.dateFound.$lte = dateTo;
+  }
+  if (savedSearch.query) {
+    const { search } = await expandSearchQuery(savedSearch.query, { category });
+    filter.$text = { $search: search };
+  }
+
+  return filter;
+};
+
+/**
+ * Whether a found item satisfies a saved search
+ */
+export const matchesSavedSearch = async (savedSearch, foundItem) => {
+  const filter = await buildSavedSearchFilter(savedSearch);
+  return (await FoundItem.countDocuments({ ...filter, _id: foundItem._id })) > 0;
+};
+
+/**
+ * Check a new found item against every active saved search and alert (or queue a digest entry for) each match
+ * @returns {Promise<number>} number of saved searches that matched
+ */
+export const evaluateSavedSearches = async (foundItem) => {
+  const candidates = SavedSearch.find({
+    paused: false,
+    // Finders are not alerted about items they logged themselves
+    user: { $ne: foundItem.foundBy?._id || foundItem.foundBy || null },
+    "filters.category": { $in: [null, foundItem.category] },
+  }).cursor();
+
+  let matched = 0;
+  for await (const savedSearch of candidates) {
+    if (!(await matchesSavedSearch(savedSearch, foundItem))) continue;
+
+    savedSearch.matchCount += 1;
+    savedSearch.lastMatchedAt = new Date();
+    if (savedSearch.frequency === "instant") {
+      await notify({ user: savedSearch.user }, "savedSearchMatch", {
+        searchName: savedSearchLabel(savedSearch),
+        foundTitle: foundItem.title,
+        foundItemId: foundItem._id,
+        savedSearchId: savedSearch._id,
+      });
+    } else {
+      savedSearch.pendingMatches.push({ foundItem: foundItem._id });
+    }
+    await savedSearch.save();
+    matched++;
+  }
+  return matched;
+};
+
+/**
+ * Run saved search alerts after a request has been answered; failures are logged, never thrown
+ */
+export const scheduleSavedSearchAlerts = (foundItem) => {
+  setImmediate(() => {
+    evaluateSavedSearches(foundItem).catch((error) => {
+      console.error(`Error evaluating saved searches for found item ${foundItem._id}:`, error);
+    });
+  });
+};
+
+/**
+ * Send one digest per saved search with queued matches, at most once a day each
+ */
+export const sendSavedSearchDigests = async () => {
+  const due = await SavedSearch.find({
+    paused: false,
+    "pendingMatches.0": { $exists: true },
+    $or: [{ lastDigestAt: null }, { lastDigestAt: { $lte: new Date(Date.now() - DAY_MS) } }],
+  });
+
+  for (const savedSearch of due) {
+    const ids = savedSearch.pendingMatches.map((entry) => entry.foundItem);
+    // Items deleted since they matched drop out of the digest
+    const items = await FoundItem.find({ _id: { $in: ids } }).select("title location dateFound").sort({ dateFound: -1 });
+
+    if (items.length) {
+      await notify({ user: savedSearch.user }, "savedSearchDigest", {
+        searchName: savedSearchLabel(savedSearch),
+        count: items.length,
+        items: items.slice(0, DIGEST_MAX_ITEMS).map((item) => ({ id: item._id, title: item.title, location: item.location })),
+        savedSearchId: savedSearch._id,
+      });
+    }
+
+    savedSearch.pendingMatches = [];
+    savedSearch.lastDigestAt = new Date();
+    await savedSearch.save();
+  }
+  return due.length;
+};
+
+/**
+ * Start checking for due digests in the background
+ */
+export const startSavedSearchDigestJob = () => {
+  if (digestTimer) return;
+  digestTimer = setInterval(() => {
+    sendSavedSearchDigests().catch((error) => console.error("Error sending saved search digests:", error));
+  }, DIGEST_CHECK_INTERVAL_MS);
+  digestTimer.unref();
+  console.log("🔔 Saved search digest job started");
+};
@@ -0,0 +1,212 @@
+// Full-text search helpers for /api/search: query parsing, typo correction, synonym expansion
+// and snippet highlighting. Matching itself is done by the MongoDB text indexes on LostItem and
+// FoundItem; everything here runs in the app so it works on a plain MongoDB without Atlas Search.
+import LostItem from "../models/LostItem.js";
+import FoundItem from "../models/FoundItem.js";
+import SearchSynonym from "../models/SearchSynonym.js";
+import { tokenize, stem, editDistance } from "./text.js";
+
+const SNIPPET_RADIUS = 60;
+// Words known to the search vocabulary are rebuilt from item titles at most this often
+const VOCABULARY_TTL_MS = Number(process.env.SEARCH_VOCABULARY_TTL_MS) || 10 * 60 * 1000;
+
+let vocabularyCache = null;
+let vocabularyBuiltAt = 0;
+
+/**
+ * Split a search string into the parts MongoDB text search understands:
+ * plain terms, "quoted phrases" and -negated terms
+ * @param {string} query
+ * @returns {{ terms: string[], phrases: string[], excluded: string[] }}
+ */
+export const parseSearchQuery = (query) => {
+  const phrases = [];
+  const withoutPhrases = String(query || "").replace(/"([^"]*)"/g, (_, phrase) => {
+    if (phrase.trim()) phrases.push(phrase.trim().toLowerCase());
+    return " ";
+  });
+
+  const terms = [];
+  const excluded = [];
+  for (const word of withoutPhrases.split(/\s+/).filter(Boolean)) {
+    if (word.startsWith("-")) excluded.push(...tokenize(word.slice(1)));
+    else terms.push(...tokenize(word));
+  }
+
+  return { terms, phrases, excluded };
+};
+
+// Text search stems words ("phones" finds "phone"), so compare stems when highlighting
+const wordMatches = (word, terms) => {
+  const root = stem(word);
+  return terms.some((term) => stem(term) === root);
+};
+
+/**
+ * Word frequencies across item titles, brands and categories, cached for VOCABULARY_TTL_MS
+ * @returns {Promise<Map<string, number>>}
+ */
+export const getSearchVocabulary = async () => {
+  if (vocabularyCache && Date.now() - vocabularyBuiltAt < VOCABULARY_TTL_MS) return vocabularyCache;
+
+  const values = (
+    await Promise.all([
+      LostItem.distinct("title"),
+      LostItem.distinct("brand"),
+      FoundItem.distinct("title"),
+      LostItem.distinct("category"),
+    ])
+  ).flat();
+
+  const vocabulary = new Map();
+  for (const value of values) {
+    for (const token of tokenize(value)) vocabulary.set(token, (vocabulary.get(token) || 0) + 1);
+  }
+
+  vocabularyCache = vocabulary;
+  vocabularyBuiltAt = Date.now();
+  return vocabulary;
+};
+
+// Short words tolerate no typos, medium words one, long words two
+const maxTypos = (word) => (word.length <= 3 ? 0 : word.length <= 6 ? 1 : 2);
+
+/**
+ * Closest known word to a (possibly misspelt) token, preferring the most common on ties
+ * @returns {string|null} null when the token is known or nothing is close enough
+ */
+export const correctToken = (token, vocabulary) => {
+  if (vocabulary.has(token)) return null;
+  const root = stem(token);
+  const allowed = maxTypos(token);
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const [word, count] of vocabulary) {
+    if (stem(word) === root) return null; // just a different form of a known word
+    if (!allowed || Math.abs(word.length - token.length) > allowed) continue;
+    const distance = editDistance(token, word);
+    if (distance > allowed) continue;
+    if (distance < bestDistance || (distance === bestDistance && count > vocabulary.get(best))) {
+      best = word;
+      bestDistance = distance;
+    }
+  }
+  return best;
+};
+
+/**
+ * Synonym groups triggered by a set of query tokens; a multi-word entry triggers only
+ * when all of its words are present (compared by stem)
+ * @returns {Array<{ matched: string, synonyms: string[] }>}
+ */
+export const findSynonyms = (tokens, groups) => {
+  const queryStems = new Set(tokens.map(stem));
+  const found = [];
+
+  for (const group of groups) {
+    const matched = group.terms.find((term) => {
+      const termStems = tokenize(term).map(stem);
+      return termStems.length > 0 && termStems.every((termStem) => queryStems.has(termStem));
+    });
+    if (matched) found.push({ matched, synonyms: group.terms.filter((term) => term !== matched) });
+  }
+  return found;
+};
+
+/**
+ * Parse a search string and widen it with typo corrections and synonyms
+ * Corrections and synonyms are added as extra (OR-ed) words; excluded words and phrases stay as typed.
+ * @param {string} text
+ * @param {object} [options]
+ * @param {string} [options.category] - Limits synonyms to this category's groups (plus global ones)
+ * @returns {Promise<{ search: string, parsed: object, corrections: object, synonyms: Array }>}
+ */
+export const expandSearchQuery = async (text, { category } = {}) => {
+  const parsed = parseSearchQuery(text);
+  const [vocabulary, groups] = await Promise.all([getSearchVocabulary(), SearchSynonym.forCategory(category)]);
+
+  // Synonym terms count as known words, so "airpod" is corrected towards a synonym entry too
+  const knownWords = new Map(vocabulary);
+  for (const group of groups) {
+    for (const token of group.terms.flatMap(tokenize)) knownWords.set(token, knownWords.get(token) || 1);
+  }
+
+  const corrections = {};
+  for (const term of parsed.terms) {
+    const corrected = correctToken(term, knownWords);
+    if (corrected) corrections[term] = corrected;
+  }
+
+  const queryTokens = [...parsed.terms, ...Object.values(corrections), ...parsed.phrases.flatMap(tokenize)];
+  const synonyms = findSynonyms(queryTokens, groups);
+  const excluded = new Set(parsed.excluded.map(stem));
+  const extraTerms = [...new Set([...Object.values(corrections), ...synonyms.flatMap((entry) => entry.synonyms.flatMap(tokenize))])]
+    .filter((term) => !excluded.has(stem(term)) && !parsed.terms.includes(term));
+
+  return {
+    search: [text, ...extraTerms].join(" ").trim(),
+    parsed: { ...parsed, terms: [...parsed.terms, ...extraTerms] },
+    corrections,
+    synonyms,
+  };
+};
+
+/**
+ * Find the character ranges of every matched term or phrase in a field
+ * @returns {Array<[number, number]>} sorted, non-overlapping [start, end) ranges
+ */
+export const findMatches = (text, { terms, phrases }) => {
+  const value = String(text || "");
+  const lower = value.toLowerCase();
+  const ranges = [];
+
+  for (const phrase of phrases) {
+    let index = lower.indexOf(phrase);
+    while (index !== -1) {
+      ranges.push([index, index + phrase.length]);
+      index = lower.indexOf(phrase, index + phrase.length);
+    }
+  }
+
+  for (const match of lower.matchAll(/[a-z0-9]+/g)) {
+    if (wordMatches(match[0], terms)) ranges.push([match.index, match.index + match[0].length]);
+  }
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  return ranges.reduce((merged, range) => {
+    const previous = merged[merged.length - 1];
+    if (previous && range[0] <= previous[1]) previous[1] = Math.max(previous[1], range[1]);
+    else merged.push([...range]);
+    return merged;
+  }, []);
+};
+
+/**
+ * Highlight a field for display. Matches are returned as offsets into `text` rather than
+ * markup, so the client decides how to render them and user content is never treated as HTML.
+ * @param {string} text
+ * @param {object} parsed - Output of parseSearchQuery
+ * @param {object} [options]
+ * @param {boolean} [options.snippet] - Trim long text to a window around the first match
+ * @returns {{ text: string, matches: Array<[number, number]>, truncated: boolean }|null} null when nothing matched
+ */
+export const highlight = (text, parsed, { snippet = false } = {}) => {
+  const value = String(text || "");
+  const ranges = findMatches(value, parsed);
+  if (!ranges.length) return null;
+
+  if (!snippet || value.length <= SNIPPET_RADIUS * 2) {
+    return { text: value, matches: ranges, truncated: false };
+  }
+
+  const start = Math.max(0, ranges[0][0] - SNIPPET_RADIUS);
+  const end = Math.min(value.length, ranges[0][1] + SNIPPET_RADIUS);
+  return {
+    text: value.slice(start, end),
+    matches: ranges
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]) => [from - start, to - start]),
+    truncated: start > 0 || end < value.length,
+  };
+};
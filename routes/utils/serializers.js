@@ -0,0 +1,113 @@
+// Response serializers for items and claims. Every route returns records through these so
+// contact details are decided in one place: owners, staff and admins see everything, anyone
+// else gets a redacted view and reaches the person through the contact relay (/api/contact).
+
+// Fields populated for the people on a record; the serializers decide what is shown
+export const USER_CONTACT_FIELDS = "name email studentId phone";
+
+export const isStaff = (viewer) => viewer?.role === "staff" || viewer?.role === "admin";
+
+const idOf = (value) => value?._id || value || null;
+const sameId = (a, b) => Boolean(idOf(a) && idOf(b)) && String(idOf(a)) === String(idOf(b));
+
+const toPlain = (record) => (record && typeof record.toObject === "function" ? record.toObject() : { ...record });
+
+/**
+ * "jane.doe@uni.edu" -> "j***e@u***.edu"
+ */
+export const maskEmail = (email) => {
+  if (!email) return null;
+  const [local, domain = ""] = String(email).split("@");
+  const mask = (part) => (part.length <= 2 ? `${part[0] || ""}***` : `${part[0]}***${part[part.length - 1]}`);
+  const dot = domain.lastIndexOf(".");
+  const host = dot > 0 ? domain.slice(0, dot) : domain;
+  const tld = dot > 0 ? domain.slice(dot) : "";
+  return `${mask(local)}@${host ? `${host[0]}***` : ""}${tld}`;
+};
+
+/**
+ * "+44 7700 900123" -> "••••••••23"
+ */
+export const maskPhone = (phone) => {
+  if (!phone) return null;
+  const digits = String(phone).replace(/\D/g, "");
+  return digits.length > 2 ? `${"•".repeat(digits.length - 2)}${digits.slice(-2)}` : "••";
+};
+
+// "Jane Doe" -> "Jane D."
+const shortName = (name) => {
+  const [first, ...rest] = String(name || "").trim().split(/\s+/);
+  if (!first) return null;
+  const last = rest[rest.length - 1];
+  return last ? `${first} ${last[0].toUpperCase()}.` : first;
+};
+
+/**
+ * Public view of a populated user: id and a shortened name only (unpopulated ids pass through)
+ */
+export const publicUser = (user) => {
+  if (!user || typeof user !== "object" || user.name === undefined) return user ?? null;
+  return { _id: user._id, name: shortName(user.name) };
+};
+
+/**
+ * Found item as the viewer may see it
+ * @param {object} item - Mongoose document or plain object
+ * @param {object|null} viewer - req.user, or null for anonymous requests
+ */
+export const serializeFoundItem = (item, viewer = null) => {
+  if (!item) return item;
+  const plain = toPlain(item);
+  if (isStaff(viewer) || sameId(plain.foundBy, viewer)) return { ...plain, contactHidden: false };
+
+  const { storageLocation, storageHistory, ...rest } = plain;
+  return {
+    ...rest,
+    contactEmail: maskEmail(plain.contactEmail),
+    contactPhone: maskPhone(plain.contactPhone),
+    foundBy: publicUser(plain.foundBy),
+    statusHistory: plain.statusHistory?.map(({ changedBy, ...entry }) => entry),
+    contactHidden: true,
+  };
+};
+
+/**
+ * Lost item as the viewer may see it
+ * @param {object} item - Mongoose document or plain object
+ * @param {object|null} viewer - req.user, or null for anonymous requests
+ */
+export const serializeLostItem = (item, viewer = null) => {
+  if (!item) return item;
+  const plain = toPlain(item);
+  if (isStaff(viewer) || sameId(plain.reportedBy, viewer)) return { ...plain, contactHidden: false };
+
+  return {
+    ...plain,
+    contactInfo: {
+      email: maskEmail(plain.contactInfo?.email),
+      phone: maskPhone(plain.contactInfo?.phone),
+    },
+    reportedBy: publicUser(plain.reportedBy),
+    // Who reported finding it, and their photo, is between the owner and staff
+    foundReport: plain.foundReport?.status ? { status: plain.foundReport.status } : undefined,
+    foundVerification: plain.foundVerification ? { reportedAt: plain.foundVerification.reportedAt } : undefined,
+    contactHidden: true,
+  };
+};
+
+/**
+ * Claim as the viewer may see it: claimants get the claimed item without the finder's contact details
+ */
+export const serializeClaim = (claim, viewer = null) => {
+  if (!claim) return claim;
+  const plain = toPlain(claim);
+  if (isStaff(viewer)) return plain;
+
+  return {
+    ...plain,
+    item: plain.item && typeof plain.item === "object" && plain.item.title !== undefined
+      ? serializeFoundItem(plain.item, viewer)
+      : plain.item,
+    reviewedBy: publicUser(plain.reviewedBy),
+  };
+};
@@ -0,0 +1,325 @@
+// Aggregate figures for the admin dashboard (GET /api/admin/stats). Every section takes the same
+// filters: a createdAt window (defaults to the last 30 days) and optionally one or more categories.
+// Queue sizes describe the current backlog, so they ignore the date window.
+import User from "../models/User.js";
+import LostItem from "../models/LostItem.js";
+import FoundItem, { ITEM_CATEGORIES } from "../models/FoundItem.js";
+import Claim, { CLAIM_OPEN_STATUSES } from "../models/Claim.js";
+import AuditLog from "../models/AuditLog.js";
+import PasswordResetRequest from "../models/PasswordResetRequest.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_WINDOW_DAYS = 30;
+const DEFAULT_TOP_LIMIT = 10;
+const MAX_TOP_LIMIT = 50;
+
+// $dateToString formats for time buckets (ISO weeks, e.g. "2024-W07")
+export const INTERVAL_FORMATS = { day: "%Y-%m-%d", week: "%G-W%V", month: "%Y-%m" };
+
+// Audit actions that count as staff work, by the label used in the workload report
+const WORKLOAD_ACTIONS = {
+  "claim.review": "claimReviews",
+  "claim.handover": "handovers",
+  "lostItem.foundReport.approve": "foundReportReviews",
+  "lostItem.foundReport.reject": "foundReportReviews",
+  "foundItem.status.update": "statusUpdates",
+  "foundItem.storage.move": "storageMoves",
+  "foundItem.dispose": "disposals",
+};
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw badRequest(`Invalid ${name} date`);
+  return date;
+};
+
+const ratio = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 1000 : null);
+
+/**
+ * Middle value of a list of numbers
+ * @returns {number|null} null for an empty list
+ */
+export const median = (values) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Parse the shared stats filters
+ * Query: dateFrom, dateTo (default: the last 30 days), category (comma-separated for several),
+ * interval=day|week|month (time series), limit (top lists)
+ * @returns {{ from: Date, to: Date, categories: string[], interval: string, limit: number }}
+ */
+export const parseStatsFilters = (query) => {
+  const to = query.dateTo ? parseDate(query.dateTo, "dateTo") : new Date();
+  const from = query.dateFrom ? parseDate(query.dateFrom, "dateFrom") : new Date(to.getTime() - DEFAULT_WINDOW_DAYS * DAY_MS);
+  if (from > to) throw badRequest("dateFrom must be before dateTo");
+
+  const categories = String(query.category || "").split(",").map((value) => value.trim()).filter(Boolean);
+  const unknown = categories.filter((category) => !ITEM_CATEGORIES.includes(category));
+  if (unknown.length) throw badRequest(`Invalid category: ${unknown.join(", ")}`);
+
+  const interval = String(query.interval || "day");
+  if (!Object.hasOwn(INTERVAL_FORMATS, interval)) throw badRequest(`interval must be one of ${Object.keys(INTERVAL_FORMATS).join(", ")}`);
+
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_TOP_LIMIT, 1), MAX_TOP_LIMIT);
+  return { from, to, categories, interval, limit };
+};
+
+// $match for items reported in the window
+const itemMatch = ({ from, to, categories }, { dated = true } = {}) => ({
+  ...(dated && { createdAt: { $gte: from, $lte: to } }),
+  ...(categories.length && { category: { $in: categories } }),
+});
+
+// Stages restricting claims to items in the selected categories
+const claimCategoryStages = ({ categories }) =>
+  categories.length
+    ? [
+        { $lookup: { from: FoundItem.collection.name, localField: "item", foreignField: "_id", as: "foundItem" } },
+        { $match: { "foundItem.category": { $in: categories } } },
+      ]
+    : [];
+
+// { value: count } from rows grouped by _id
+const countsById = (rows) => Object.fromEntries(rows.map((row) => [row._id ?? "unknown", row.count]));
+
+/**
+ * Lost and found reports per day, ISO week or month
+ * @returns {Promise<{ interval: string, totals: object, series: Array<{ period: string, lost: number, found: number }> }>}
+ */
+export const reportVolume = async (filters) => {
+  const group = [
+    { $group: { _id: { $dateToString: { format: INTERVAL_FORMATS[filters.interval], date: "$createdAt" } }, count: { $sum: 1 } } },
+  ];
+  const [lost, found] = await Promise.all([
+    LostItem.aggregate([{ $match: itemMatch(filters) }, ...group]),
+    FoundItem.aggregate([{ $match: itemMatch(filters) }, ...group]),
+  ]);
+
+  const series = new Map();
+  const bucket = (period) => series.get(period) || series.set(period, { period, lost: 0, found: 0 }).get(period);
+  for (const row of lost) bucket(row._id).lost = row.count;
+  for (const row of found) bucket(row._id).found = row.count;
+
+  return {
+    interval: filters.interval,
+    totals: { lost: lost.reduce((sum, row) => sum + row.count, 0), found: found.reduce((sum, row) => sum + row.count, 0) },
+    series: [...series.values()].sort((a, b) => a.period.localeCompare(b.period)),
+  };
+};
+
+/**
+ * How many of the items reported in the window were recovered, and how long returns took
+ * Time to return runs from logging the found item to the handover that marked it returned.
+ */
+export const recoveryStats = async (filters) => {
+  const match = itemMatch(filters);
+  const [lostByStatus, foundByStatus, returned, claimsApproved] = await Promise.all([
+    LostItem.aggregate([{ $match: match }, { $group: { _id: "$status", count: { $sum: 1 } } }]),
+    FoundItem.aggregate([{ $match: match }, { $group: { _id: "$status", count: { $sum: 1 } } }]),
+    FoundItem.aggregate([
+      { $match: { ...match, status: "returned" } },
+      {
+        $project: {
+          returnedAt: {
+            $max: {
+              $map: {
+                input: { $filter: { input: "$statusHistory", cond: { $eq: ["$$this.to", "returned"] } } },
+                in: "$$this.changedAt",
+              },
+            },
+          },
+          createdAt: 1,
+        },
+      },
+      { $match: { returnedAt: { $ne: null } } },
+      { $project: { durationMs: { $subtract: ["$returnedAt", "$createdAt"] } } },
+    ]),
+    Claim.aggregate([
+      { $match: { createdAt: { $gte: filters.from, $lte: filters.to }, status: "approved" } },
+      ...claimCategoryStages(filters),
+      { $count: "count" },
+    ]),
+  ]);
+
+  const lost = countsById(lostByStatus);
+  const found = countsById(foundByStatus);
+  const lostTotal = lostByStatus.reduce((sum, row) => sum + row.count, 0);
+  const foundTotal = foundByStatus.reduce((sum, row) => sum + row.count, 0);
+  const medianMs = median(returned.map((row) => row.durationMs));
+
+  return {
+    lostItems: { total: lostTotal, markedFound: lost.found || 0, recoveryRate: ratio(lost.found || 0, lostTotal) },
+    foundItems: {
+      total: foundTotal,
+      returned: found.returned || 0,
+      disposed: (found.disposed || 0) + (found.donated || 0),
+      returnRate: ratio(found.returned || 0, foundTotal),
+    },
+    claimsApproved: claimsApproved[0]?.count || 0,
+    timeToReturn: {
+      sampleSize: returned.length,
+      medianHours: medianMs === null ? null : Math.round((medianMs / (60 * 60 * 1000)) * 10) / 10,
+    },
+  };
+};
+
+/**
+ * Most reported categories and locations (locations compared case-insensitively)
+ */
+export const topCategoriesAndLocations = async (filters) => {
+  const match = itemMatch(filters);
+  const byCategory = [{ $match: match }, { $group: { _id: "$category", count: { $sum: 1 } } }];
+  const byLocation = [
+    { $match: match },
+    { $group: { _id: { $toLower: { $trim: { input: "$location" } } }, location: { $first: "$location" }, count: { $sum: 1 } } },
+  ];
+  const [lostCategories, foundCategories, lostLocations, foundLocations] = await Promise.all([
+    LostItem.aggregate(byCategory),
+    FoundItem.aggregate(byCategory),
+    LostItem.aggregate(byLocation),
+    FoundItem.aggregate(byLocation),
+  ]);
+
+  const combine = (lostRows, foundRows, label) => {
+    const rows = new Map();
+    const row = (entry) => rows.get(entry._id) || rows.set(entry._id, { [label]: entry.location || entry._id, lost: 0, found: 0 }).get(entry._id);
+    for (const entry of lostRows) row(entry).lost = entry.count;
+    for (const entry of foundRows) row(entry).found = entry.count;
+    return [...rows.values()]
+      .map((entry) => ({ ...entry, total: entry.lost + entry.found }))
+      .sort((a, b) => b.total - a.total)
+      .slice(0, filters.limit);
+  };
+
+  return {
+    categories: combine(lostCategories, foundCategories, "category"),
+    locations: combine(lostLocations.filter((entry) => entry._id), foundLocations.filter((entry) => entry._id), "location"),
+  };
+};
+
+/**
+ * Outcomes of the claims filed in the window
+ */
+export const claimOutcomes = async (filters) => {
+  const rows = await Claim.aggregate([
+    { $match: { createdAt: { $gte: filters.from, $lte: filters.to } } },
+    ...claimCategoryStages(filters),
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]);
+
+  const byStatus = countsById(rows);
+  const approved = byStatus.approved || 0;
+  const rejected = byStatus.rejected || 0;
+  return {
+    total: rows.reduce((sum, row) => sum + row.count, 0),
+    byStatus,
+    open: CLAIM_OPEN_STATUSES.reduce((sum, status) => sum + (byStatus[status] || 0), 0),
+    approvalRate: ratio(approved, approved + rejected),
+    rejectionRate: ratio(rejected, approved + rejected),
+  };
+};
+
+/**
+ * Actions per staff member in the window, from the audit trail
+ * Every review counts, including later reversals of the same claim.
+ */
+export const staffWorkload = async (filters) => {
+  const categoryStages = filters.categories.length
+    ? [
+        // Claims point at their found item; item actions point at the item itself
+        { $lookup: { from: Claim.collection.name, localField: "targetId", foreignField: "_id", as: "claim" } },
+        { $addFields: { itemId: { $ifNull: [{ $arrayElemAt: ["$claim.item", 0] }, "$targetId"] } } },
+        { $lookup: { from: FoundItem.collection.name, localField: "itemId", foreignField: "_id", as: "foundItem" } },
+        { $lookup: { from: LostItem.collection.name, localField: "itemId", foreignField: "_id", as: "lostItem" } },
+        {
+          $match: {
+            $or: [{ "foundItem.category": { $in: filters.categories } }, { "lostItem.category": { $in: filters.categories } }],
+          },
+        },
+      ]
+    : [];
+
+  const rows = await AuditLog.aggregate([
+    {
+      $match: {
+        createdAt: { $gte: filters.from, $lte: filters.to },
+        action: { $in: Object.keys(WORKLOAD_ACTIONS) },
+        actor: { $ne: null },
+        actorRole: { $in: ["staff", "admin"] },
+      },
+    },
+    ...categoryStages,
+    { $group: { _id: { actor: "$actor", action: "$action" }, count: { $sum: 1 }, actorName: { $last: "$actorName" } } },
+  ]);
+
+  const staff = new Map();
+  for (const row of rows) {
+    const key = String(row._id.actor);
+    const entry = staff.get(key) || staff.set(key, { user: row._id.actor, name: row.actorName, total: 0, actions: {} }).get(key);
+    const label = WORKLOAD_ACTIONS[row._id.action];
+    entry.actions[label] = (entry.actions[label] || 0) + row.count;
+    entry.total += row.count;
+  }
+
+  // Current names and roles where the account still exists
+  const users = await User.find({ _id: { $in: [...staff.values()].map((entry) => entry.user) } })
+    .setOptions({ withDeleted: true })
+    .select("name email role");
+  for (const user of users) {
+    Object.assign(staff.get(String(user._id)), { name: user.name, email: user.email, role: user.role });
+  }
+
+  return { staff: [...staff.values()].sort((a, b) => b.total - a.total) };
+};
+
+/**
+ * Current size of every queue waiting on staff or admins
+ */
+export const queueSizes = async (filters) => {
+  const itemFilter = itemMatch(filters, { dated: false });
+  const [claimRows, pickupRows, foundReports, awaitingStorage, pendingDisposal, usersAwaitingApproval, passwordResets] =
+    await Promise.all([
+      Claim.aggregate([
+        { $match: { status: { $in: CLAIM_OPEN_STATUSES } } },
+        ...claimCategoryStages(filters),
+        { $group: { _id: "$status", count: { $sum: 1 } } },
+      ]),
+      Claim.aggregate([
+        { $match: { status: "approved", "pickup.status": { $in: ["awaiting_slots", "offered", "booked"] } } },
+        ...claimCategoryStages(filters),
+        { $group: { _id: "$pickup.status", count: { $sum: 1 } } },
+      ]),
+      LostItem.countDocuments({ ...itemFilter, "foundReport.status": "pending" }),
+      FoundItem.countDocuments({ ...itemFilter, status: "received" }),
+      FoundItem.countDocuments({ ...itemFilter, status: "pending_disposal" }),
+      User.countDocuments({ status: "pending" }),
+      PasswordResetRequest.countDocuments({ status: "pending" }),
+    ]);
+
+  return {
+    claims: { ...Object.fromEntries(CLAIM_OPEN_STATUSES.map((status) => [status, 0])), ...countsById(claimRows) },
+    pickups: { awaiting_slots: 0, offered: 0, booked: 0, ...countsById(pickupRows) },
+    foundReports,
+    awaitingStorage,
+    pendingDisposal,
+    // Account queues have no category
+    usersAwaitingApproval,
+    passwordResets,
+  };
+};
+
+// Sections served by GET /api/admin/stats/:section, in the order the overview lists them
+export const STATS_SECTIONS = {
+  reports: reportVolume,
+  recovery: recoveryStats,
+  top: topCategoriesAndLocations,
+  claims: claimOutcomes,
+  workload: staffWorkload,
+  queues: queueSizes,
+};
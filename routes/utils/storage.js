@@ -0,0 +1,69 @@
+// Storage slots in the security office: occupancy counts and assigning found items to bins
+import mongoose from "mongoose";
+import StorageLocation from "../models/StorageLocation.js";
+import FoundItem, { FOUND_ITEM_CLOSED_STATUSES } from "../models/FoundItem.js";
+
+const requestError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+/**
+ * Number of items currently kept in each location
+ * @param {Array} locationIds
+ * @returns {Promise<Map<string, number>>} keyed by location id
+ */
+export const countOccupants = async (locationIds) => {
+  const ids = locationIds.map((id) => new mongoose.Types.ObjectId(String(id)));
+  const rows = await FoundItem.aggregate([
+    { $match: { storageLocation: { $in: ids }, status: { $nin: FOUND_ITEM_CLOSED_STATUSES } } },
+    { $group: { _id: "$storageLocation", count: { $sum: 1 } } },
+  ]);
+  return new Map(rows.map((row) => [String(row._id), row.count]));
+};
+
+/**
+ * Attach occupancy figures to locations for list responses
+ * @returns {Promise<object[]>} plain locations with { occupied, available } (available is null without a capacity)
+ */
+export const withOccupancy = async (locations) => {
+  const counts = await countOccupants(locations.map((location) => location._id));
+  return locations.map((location) => {
+    const plain = typeof location.toObject === "function" ? location.toObject() : location;
+    const occupied = counts.get(String(location._id)) || 0;
+    return { ...plain, occupied, available: plain.capacity ? Math.max(plain.capacity - occupied, 0) : null };
+  });
+};
+
+/**
+ * Move a found item into a storage location, or off the shelf when locationId is null.
+ * Newly received items are marked in_storage once shelved.
+ * Throws errors with status 400/404 for the route to report.
+ * @returns {Promise<object|null>} the target location
+ */
+export const assignStorageLocation = async (item, locationId, actorId, note = null) => {
+  if (FOUND_ITEM_CLOSED_STATUSES.includes(item.status)) {
+    throw requestError(`The item has already been ${item.status} and is no longer in storage`);
+  }
+
+  let location = null;
+  if (locationId) {
+    if (!mongoose.Types.ObjectId.isValid(locationId)) throw requestError("Invalid storage location");
+    location = await StorageLocation.findById(locationId);
+    if (!location) throw requestError("Storage location not found", 404);
+    if (!location.active) throw requestError("This storage location has been retired");
+    if (item.storageLocation?.equals(location._id)) throw requestError(`The item is already in ${location.label}`);
+
+    if (location.capacity) {
+      const occupied = (await countOccupants([location._id])).get(String(location._id)) || 0;
+      if (occupied >= location.capacity) {
+        throw requestError(`${location.label} is full (capacity ${location.capacity})`);
+      }
+    }
+  } else if (!item.storageLocation) {
+    throw requestError("The item is not in storage");
+  }
+
+  item.moveTo(location?._id || null, actorId, note || (location ? `Stored in ${location.label}` : "Removed from storage"));
+  if (location && item.status === "received") {
+    item.transitionTo("in_storage", actorId, `Stored in ${location.label}`);
+  }
+  return location;
+};
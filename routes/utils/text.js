@@ -0,0 +1,98 @@
+// Small text helpers shared by matching and search
+
+const STOP_WORDS = new Set([
+  "a", "an", "and", "are", "at", "by", "for", "from", "has", "have", "in", "is", "it",
+  "its", "my", "of", "on", "or", "the", "to", "was", "were", "with",
+]);
+
+/**
+ * Lowercase, strip punctuation and split into meaningful tokens
+ * @param {string} value
+ * @returns {string[]}
+ */
+export const tokenize = (value) =>
+  String(value || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter((word) => word.length > 1 && !STOP_WORDS.has(word));
+
+/**
+ * Jaccard similarity of two token lists (0..1)
+ */
+export const tokenSimilarity = (a, b) => {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  if (!setA.size || !setB.size) return 0;
+  let shared = 0;
+  setA.forEach((token) => {
+    if (setB.has(token)) shared++;
+  });
+  return shared / (setA.size + setB.size - shared);
+};
+
+/**
+ * Edit distance between two strings (Levenshtein, with a swap of two adjacent
+ * characters counting as a single edit, so "iphnoe" is one typo away from "iphone")
+ */
+export const editDistance = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+    }
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Edit-distance similarity of two strings (0..1)
+ */
+export const stringSimilarity = (a, b) => {
+  const longest = Math.max(a.length, b.length);
+  if (!longest) return 0;
+  return 1 - editDistance(a, b) / longest;
+};
+
+/**
+ * Light English stemmer: reduces plurals and -ing/-ed forms to a shared root
+ * ("charge", "charging", "charged" -> "charg"; "phones" -> "phon"; "batteries" -> "battery")
+ * @param {string} word - A lowercase token
+ * @returns {string}
+ */
+export const stem = (word) => {
+  let root = String(word || "");
+  if (root.length <= 3) return root;
+
+  if (root.endsWith("ies") && root.length > 4) root = `${root.slice(0, -3)}y`;
+  else if (/(ss|x|ch|sh|z)es$/.test(root)) root = root.slice(0, -2);
+  else if (root.endsWith("s") && !/(ss|us|is)$/.test(root)) root = root.slice(0, -1);
+
+  const verbSuffix = root.match(/(ing|ed)$/);
+  if (verbSuffix && /[aeiouy]/.test(root.slice(0, -verbSuffix[1].length)) && root.length - verbSuffix[1].length >= 3) {
+    root = root.slice(0, -verbSuffix[1].length);
+    // "stopped" -> "stop", but keep "ll"/"ss" ("spilled" -> "spill")
+    if (/([^aeiouls])\1$/.test(root)) root = root.slice(0, -1);
+  }
+
+  // "charge"/"charging" and "phone"/"phones" should meet at the same root
+  if (root.length > 4 && root.endsWith("e")) root = root.slice(0, -1);
+  return root;
+};
+
+/**
+ * Escape user input for safe use inside a RegExp
+ */
+export const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
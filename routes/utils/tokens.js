@@ -0,0 +1,118 @@
+// Access/refresh token handling
+// Access tokens are short-lived JWTs carrying the user's tokenVersion; bumping the version
+// invalidates every access token at once. Refresh tokens are random strings stored hashed
+// server-side and rotated on every use.
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import RefreshToken from "../models/RefreshToken.js";
+import User from "../models/User.js";
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Sign a short-lived access token for the user
+ */
+export const signAccessToken = (user) =>
+  jwt.sign({ id: user._id, tv: user.tokenVersion || 0 }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+
+const createRefreshToken = async (user, req, family = crypto.randomUUID()) => {
+  const token = crypto.randomBytes(48).toString("hex");
+  const doc = await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    createdByIp: req?.ip || null,
+    userAgent: req?.headers?.["user-agent"] || null,
+  });
+  return { token, doc };
+};
+
+/**
+ * Issue a fresh access/refresh token pair (used on sign-in)
+ * @returns {Promise<{ token: string, refreshToken: string, expiresIn: string }>}
+ */
+export const issueTokens = async (user, req) => {
+  const { token: refreshToken } = await createRefreshToken(user, req);
+  return { token: signAccessToken(user), refreshToken, expiresIn: ACCESS_TOKEN_TTL };
+};
+
+/**
+ * Exchange a refresh token for a new pair; the old refresh token is revoked.
+ * Presenting an already-rotated token revokes its whole family.
+ * @returns {Promise<{ user: object, token: string, refreshToken: string, expiresIn: string }|null>}
+ */
+export const rotateRefreshToken = async (rawToken, req) => {
+  if (!rawToken) return null;
+
+  // Claim the token atomically, so two concurrent refreshes with it cannot both succeed
+  const tokenHash = hashToken(rawToken);
+  const now = new Date();
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { revokedAt: now, revokedReason: "rotated" } },
+    { new: true }
+  );
+
+  if (!current) {
+    const used = await RefreshToken.findOne({ tokenHash }).select("family revokedReason");
+    if (used?.revokedReason === "rotated") {
+      // Someone is replaying a token that was already exchanged (or racing its exchange)
+      await RefreshToken.updateMany(
+        { family: used.family, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: "reuse_detected" } }
+      );
+    }
+    return null;
+  }
+
+  const user = await User.findById(current.user).select("-password");
+  if (!user || user.status !== "approved") {
+    current.revokedReason = "user_unavailable";
+    await current.save();
+    return null;
+  }
+
+  const { token: refreshToken, doc } = await createRefreshToken(user, req, current.family);
+  current.replacedBy = doc._id;
+  await current.save();
+
+  // A concurrent replay may have revoked the family before the new token existed
+  if (await RefreshToken.exists({ family: current.family, revokedReason: "reuse_detected" })) {
+    await RefreshToken.updateOne({ _id: doc._id }, { $set: { revokedAt: new Date(), revokedReason: "reuse_detected" } });
+    return null;
+  }
+
+  return { user, token: signAccessToken(user), refreshToken, expiresIn: ACCESS_TOKEN_TTL };
+};
+
+/**
+ * Revoke a single refresh token (logout on this device)
+ * @returns {Promise<boolean>} whether an active token was revoked
+ */
+export const revokeRefreshToken = async (rawToken, reason = "logout") => {
+  if (!rawToken) return false;
+  const result = await RefreshToken.updateOne(
+    { tokenHash: hashToken(rawToken), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * End every session of a user: revokes all refresh tokens and invalidates issued access tokens
+ * @param {object|string} userId
+ * @param {string} reason - e.g. "logout_all", "password_reset", "role_change"
+ */
+export const revokeUserSessions = async (userId, reason) => {
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+};
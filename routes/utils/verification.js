@@ -0,0 +1,93 @@
+// Claim verification: compares a claimant's answers with the expected answers staff
+// attached to the found item, so reviewers get a hint rather than a verdict.
+import { tokenize, stem, stringSimilarity } from "./text.js";
+
+// Tokens this similar (after stemming) count as the same word, allowing for typos
+const FUZZY_TOKEN_SIMILARITY = 0.8;
+
+/**
+ * Similarity of a given answer to the expected one (0..1)
+ * Exact matches (ignoring case and punctuation) score 1; otherwise the share of expected
+ * words found in the answer, with stemming and small typos tolerated.
+ */
+export const answerSimilarity = (expected, given) => {
+  const normalize = (value) => String(value || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+  if (!normalize(expected) || !normalize(given)) return 0;
+  if (normalize(expected) === normalize(given)) return 1;
+
+  const expectedTokens = [...new Set(tokenize(expected).map(stem))];
+  const givenTokens = [...new Set(tokenize(given).map(stem))];
+  if (!expectedTokens.length || !givenTokens.length) {
+    return Math.round(stringSimilarity(normalize(expected), normalize(given)) * 100) / 100;
+  }
+
+  const found = expectedTokens.filter((token) =>
+    givenTokens.some((candidate) => candidate === token || stringSimilarity(candidate, token) >= FUZZY_TOKEN_SIMILARITY)
+  ).length;
+  // Padding the answer with extra words should not hide a mismatch entirely
+  const precision = found / givenTokens.length;
+  const recall = found / expectedTokens.length;
+  return Math.round((recall * 0.75 + precision * 0.25) * 100) / 100;
+};
+
+/**
+ * Describe a similarity score for reviewers
+ * @returns {"strong"|"partial"|"weak"|"none"}
+ */
+export const similarityHint = (similarity) => {
+  if (similarity >= 0.8) return "strong";
+  if (similarity >= 0.5) return "partial";
+  if (similarity > 0) return "weak";
+  return "none";
+};
+
+/**
+ * Normalise submitted answers to [{ questionId, answer }]
+ * Accepts either an array of { questionId, answer } or an object keyed by question id.
+ */
+export const normalizeAnswers = (answers) => {
+  if (Array.isArray(answers)) {
+    return answers
+      .filter((entry) => entry && entry.questionId)
+      .map((entry) => ({ questionId: String(entry.questionId), answer: String(entry.answer ?? "").trim() }));
+  }
+  if (answers && typeof answers === "object") {
+    return Object.entries(answers).map(([questionId, answer]) => ({ questionId, answer: String(answer ?? "").trim() }));
+  }
+  return [];
+};
+
+/**
+ * Side-by-side comparison of expected and given answers for staff review
+ * @param {Array} questions - FoundItem.verificationQuestions (loaded with expectedAnswer)
+ * @param {Array} answers - Claim.verificationAnswers
+ * @returns {{ questions: Array, averageSimilarity: number|null, hint: string|null }}
+ */
+export const compareAnswers = (questions = [], answers = []) => {
+  const rows = questions.map((question) => {
+    const given = answers.find((answer) => String(answer.questionId) === String(question._id));
+    const similarity = given ? answerSimilarity(question.expectedAnswer, given.answer) : 0;
+    return {
+      questionId: question._id,
+      question: question.question,
+      expectedAnswer: question.expectedAnswer,
+      answer: given?.answer ?? null,
+      similarity,
+      hint: similarityHint(similarity),
+    };
+  });
+
+  // Answers to questions that were removed since the claim was filed
+  for (const answer of answers) {
+    if (!questions.some((question) => String(question._id) === String(answer.questionId))) {
+      rows.push({ questionId: answer.questionId, question: answer.question, expectedAnswer: null, answer: answer.answer, similarity: null, hint: null });
+    }
+  }
+
+  const scored = rows.filter((row) => row.similarity !== null);
+  const averageSimilarity = scored.length
+    ? Math.round((scored.reduce((sum, row) => sum + row.similarity, 0) / scored.length) * 100) / 100
+    : null;
+
+  return { questions: rows, averageSimilarity, hint: averageSimilarity === null ? null : similarityHint(averageSimilarity) };
+};
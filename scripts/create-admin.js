@@ -0,0 +1,113 @@
+// One-time bootstrap: creates the first admin account.
+// Usage: npm run create-admin
+// Reads ADMIN_NAME, ADMIN_EMAIL and ADMIN_PASSWORD from the environment and prompts for anything missing
+// (the password prompt is not echoed; without a terminal ADMIN_PASSWORD is required).
+// Further admins are invited from inside the app via POST /api/admin/admin-invites.
+import readline from "readline/promises";
+import { Writable } from "stream";
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { connectDB } from "../config/database.js";
+import User from "../routes/models/User.js";
+
+dotenv.config();
+
+const MIN_PASSWORD_LENGTH = 10;
+
+// Terminal output that can be muted while a password is typed, so it is not echoed
+const output = new Writable({
+  write(chunk, encoding, callback) {
+    if (!output.muted) process.stdout.write(chunk, encoding);
+    callback();
+  },
+});
+
+const prompt = async (rl, question, fallback) => {
+  if (fallback) return fallback.trim();
+  return (await rl.question(question)).trim();
+};
+
+const promptHidden = async (rl, question, fallback) => {
+  if (fallback) return fallback.trim();
+  process.stdout.write(question);
+  output.muted = true;
+  try {
+    return (await rl.question("")).trim();
+  } finally {
+    output.muted = false;
+    process.stdout.write("\n");
+  }
+};
+
+const createAdmin = async () => {
+  // Piped input can't be hidden, so the password has to come from the environment
+  if (!process.stdin.isTTY && !process.env.ADMIN_PASSWORD) {
+    console.error("❌ ADMIN_PASSWORD must be set when not running in a terminal.");
+    return 1;
+  }
+
+  await connectDB();
+
+  const existingAdmin = await User.findOne({ role: "admin" }).select("email");
+  if (existingAdmin) {
+    console.error(`❌ An admin account already exists (${existingAdmin.email}).`);
+    console.error("   Invite further admins from the admin panel instead.");
+    return 1;
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output, terminal: Boolean(process.stdin.isTTY) });
+  let name;
+  let email;
+  let password;
+  try {
+    name = await prompt(rl, "Admin name: ", process.env.ADMIN_NAME);
+    email = (await prompt(rl, "Admin email: ", process.env.ADMIN_EMAIL)).toLowerCase();
+    password = await promptHidden(rl, "Admin password: ", process.env.ADMIN_PASSWORD);
+  } finally {
+    rl.close();
+  }
+
+  if (!name || !email || !password) {
+    console.error("❌ Name, email and password are required.");
+    return 1;
+  }
+
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    console.error("❌ Invalid email format.");
+    return 1;
+  }
+
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    console.error(`❌ Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+    return 1;
+  }
+
+  if (await User.findOne({ email })) {
+    console.error(`❌ A user with email ${email} already exists.`);
+    return 1;
+  }
+
+  // Password is hashed by the User pre-save hook
+  const admin = await User.create({
+    name,
+    email,
+    password,
+    role: "admin",
+    status: "approved",
+    approvedAt: new Date(),
+    emailVerified: true,
+    emailVerifiedAt: new Date(),
+  });
+
+  console.log(`✅ Admin account created: ${admin.email}`);
+  return 0;
+};
+
+try {
+  const exitCode = await createAdmin();
+  await mongoose.disconnect();
+  process.exit(exitCode);
+} catch (error) {
+  console.error("❌ Error creating admin:", error);
+  process.exit(1);
+}
@@ -0,0 +1,26 @@
+// Bring the database indexes in line with the model definitions.
+// Usage: npm run sync-indexes
+// Needed after an index definition changes (e.g. the search text indexes), since MongoDB
+// allows only one text index per collection and will not replace an old one by itself.
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { connectDB } from "../config/database.js";
+import LostItem from "../routes/models/LostItem.js";
+import FoundItem from "../routes/models/FoundItem.js";
+
+dotenv.config();
+
+const MODELS = [LostItem, FoundItem];
+
+try {
+  await connectDB();
+  for (const model of MODELS) {
+    const dropped = await model.syncIndexes();
+    console.log(`✅ ${model.modelName}: indexes synced${dropped.length ? ` (dropped ${dropped.join(", ")})` : ""}`);
+  }
+  await mongoose.disconnect();
+  process.exit(0);
+} catch (error) {
+  console.error("❌ Error syncing indexes:", error);
+  process.exit(1);
+}
@@ -6,6 +6,10 @@ import helmet from "helmet";
 import rateLimit from "express-rate-limit";
 import { connectDB } from "./config/database.js";
 import dotenv from "dotenv";
+import { startOutboxWorker } from "./routes/utils/outbox.js";
+import { startTrashPurgeJob } from "./routes/utils/purge.js";
+import { startSavedSearchDigestJob } from "./routes/utils/savedSearches.js";
+import { startRetentionJob } from "./routes/utils/retention.js";
 
 import authRoutes from "./routes/routes/auth.js";
 import lostItemsRoutes from "./routes/routes/lostItems.js";
@@ -13,6 +17,12 @@ import foundItemsRoutes from "./routes/routes/foundItems.js";
 import claimsRoutes from "./routes/routes/claims.js";
 import adminRoutes from "./routes/routes/admin.js";
 import searchRoutes from "./routes/routes/search.js";
+import matchesRoutes from "./routes/routes/matches.js";
+import notificationsRoutes from "./routes/routes/notifications.js";
+import savedSearchesRoutes from "./routes/routes/savedSearches.js";
+import storageLocationsRoutes from "./routes/routes/storageLocations.js";
+import contactRoutes from "./routes/routes/contact.js";
+import campusLocationsRoutes from "./routes/routes/campusLocations.js";
 
 dotenv.config();
 
@@ -42,6 +52,18 @@ try {
   console.warn("⚠️ Email configuration check failed:", err.message);
 }
 
+// Deliver queued notification emails in the background
+startOutboxWorker();
+
+// Permanently remove records that have outlived the trash retention period
+startTrashPurgeJob();
+
+// Send daily digests for saved searches that collect their matches
+startSavedSearchDigestJob();
+
+// Warn about and queue unclaimed items that reach their category's retention period
+startRetentionJob();
+
 // Security middleware
 app.use(
   helmet({
@@ -172,6 +194,12 @@ app.use("/api/found-items", foundItemsRoutes);
 app.use("/api/claims", claimsRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/search", searchRoutes);
+app.use("/api/matches", matchesRoutes);
+app.use("/api/notifications", notificationsRoutes);
+app.use("/api/saved-searches", savedSearchesRoutes);
+app.use("/api/storage-locations", storageLocationsRoutes);
+app.use("/api/contact", contactRoutes);
+app.use("/api/locations", campusLocationsRoutes);
 
 // Health check
 app.get("/api/health", (req, res) => {